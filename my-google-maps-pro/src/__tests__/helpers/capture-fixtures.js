@@ -0,0 +1,168 @@
+/**
+ * Fixture Capture Script
+ *
+ * Saves real Google Maps pages as selector regression fixtures, so the suite also
+ * catches markup changes on Google's side: a place page, the same place with its
+ * Reviews tab open, and a search feed. Before saving, scripts and frames are dropped
+ * and reviewers are anonymized (names, profile links, avatars and review photos).
+ * The pages are added to fixtures/manifest.json with the URL and date they were
+ * captured from; their golden files are then written with
+ * `UPDATE_GOLDEN=1 npm run test:selectors` and must be checked by hand.
+ *
+ * Usage: npm run capture:fixtures -- <place URL> <search URL> [name prefix]
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+import { chromium } from 'playwright';
+
+import { openReviewsTab } from '../../utils/review-extractor.js';
+import { DEFAULT_SELECTOR_PACK } from '../../utils/selector-pack.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('../fixtures', import.meta.url));
+
+/**
+ * Extractors run against each kind of captured page
+ */
+const CAPTURED_TYPES = {
+	place: ['place', 'hours', 'popularTimes'],
+	reviews: ['reviews', 'reviewSummary'],
+	search: ['search'],
+};
+
+/**
+ * Removes scripts, frames and reviewer data from the page (runs in the browser)
+ *
+ * @param {Object} selectors - Review container, author and response container selectors
+ */
+function scrubPage({ container, author, response }) {
+	document.querySelectorAll('script, noscript, iframe, link, meta, template').forEach((element) => element.remove());
+
+	// Reviewer names, replaced everywhere they appear (texts, aria-labels, alt texts)
+	const names = new Map();
+	for (const review of document.querySelectorAll(container)) {
+		const authorElement = [...review.querySelectorAll(author)].find((element) => !element.closest(response));
+		const name = authorElement?.textContent.trim();
+		if (name && !names.has(name)) {
+			names.set(name, `Reviewer ${names.size + 1}`);
+		}
+	}
+	const contributorIds = new Map();
+	const redact = (value) => {
+		let result = value.replace(/\/contrib\/(\d+)/g, (_match, id) => {
+			if (!contributorIds.has(id)) {
+				contributorIds.set(id, `1${String(contributorIds.size + 1).padStart(20, '0')}`);
+			}
+			return `/contrib/${contributorIds.get(id)}`;
+		});
+		for (const [name, alias] of names) {
+			result = result.split(name).join(alias);
+		}
+		return result;
+	};
+
+	const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+	while (walker.nextNode()) {
+		walker.currentNode.nodeValue = redact(walker.currentNode.nodeValue);
+	}
+	for (const element of document.querySelectorAll('*')) {
+		for (const { name, value } of [...element.attributes]) {
+			const redacted = redact(value);
+			if (redacted !== value) {
+				element.setAttribute(name, redacted);
+			}
+		}
+	}
+
+	// Avatars and photos in reviews
+	let photoCount = 0;
+	for (const review of document.querySelectorAll(container)) {
+		for (const image of review.querySelectorAll('img[src*="googleusercontent"]')) {
+			image.setAttribute('src', 'https://lh3.googleusercontent.com/a/redacted');
+		}
+		for (const element of review.querySelectorAll('[style*="googleusercontent"]')) {
+			photoCount++;
+			element.setAttribute('style', element.getAttribute('style').replace(
+				/url\(["']?[^"')]+["']?\)/g,
+				`url("https://lh5.googleusercontent.com/p/redacted-${photoCount}")`,
+			));
+		}
+	}
+}
+
+/**
+ * Loads a Google Maps URL in English, getting past the cookie consent page
+ *
+ * @param {Object} page - Playwright page object
+ * @param {string} url - Google Maps URL
+ */
+async function openMapsPage(page, url) {
+	const target = new URL(url);
+	target.searchParams.set('hl', 'en');
+	await page.goto(target.href);
+	if (new URL(page.url()).hostname.startsWith('consent.')) {
+		await page.click('button[aria-label="Reject all"], form[action*="consent"] button');
+		await page.waitForURL(/\/maps\//);
+	}
+	await page.waitForTimeout(5000);
+}
+
+/**
+ * Saves the scrubbed page and returns its manifest entries
+ *
+ * @param {Object} page - Playwright page object
+ * @param {string} kind - 'place', 'reviews' or 'search'
+ * @param {string} prefix - Name prefix of the fixture
+ * @param {string} sourceUrl - URL the page was captured from
+ * @returns {Promise<Array<Object>>} Manifest entries, one per extractor
+ */
+async function saveFixture(page, kind, prefix, sourceUrl) {
+	const { container, fields, response } = DEFAULT_SELECTOR_PACK.review;
+	await page.evaluate(scrubPage, { container, author: fields.author.selectors.join(', '), response: response.container });
+
+	const file = `${prefix}-${kind}.html`;
+	writeFileSync(`${FIXTURES_DIR}/${file}`, `<!DOCTYPE html>\n${await page.content()}\n`);
+	console.log(`Saved ${file}`);
+
+	const captured = { url: sourceUrl, date: new Date().toISOString().slice(0, 10) };
+	return CAPTURED_TYPES[kind].map((type) => ({
+		name: `${prefix}-${kind}${type === kind ? '' : `-${type}`}`,
+		type,
+		file,
+		path: new URL(page.url()).pathname,
+		captured,
+	}));
+}
+
+const [placeUrl, searchUrl, prefix = 'captured'] = process.argv.slice(2);
+if (!placeUrl || !searchUrl) {
+	console.log('Usage: npm run capture:fixtures -- <place URL> <search URL> [name prefix]');
+	process.exit(1);
+}
+
+const browser = await chromium.launch();
+const page = await browser.newPage({ locale: 'en-US' });
+const entries = [];
+try {
+	await openMapsPage(page, placeUrl);
+	entries.push(...await saveFixture(page, 'place', prefix, placeUrl));
+
+	// Load the place again, as the saved page has no scripts left to open the tab with
+	await openMapsPage(page, placeUrl);
+	if (!await openReviewsTab(page)) {
+		throw new Error('Could not open the Reviews tab');
+	}
+	entries.push(...await saveFixture(page, 'reviews', prefix, placeUrl));
+
+	await openMapsPage(page, searchUrl);
+	entries.push(...await saveFixture(page, 'search', prefix, searchUrl));
+} finally {
+	await browser.close();
+}
+
+const manifestPath = `${FIXTURES_DIR}/manifest.json`;
+const names = new Set(entries.map((entry) => entry.name));
+const manifest = JSON.parse(readFileSync(manifestPath, 'utf-8')).filter((entry) => !names.has(entry.name));
+writeFileSync(manifestPath, `${JSON.stringify([...manifest, ...entries], null, '\t')}\n`);
+console.log(`Added ${entries.length} manifest entries; write their golden files with UPDATE_GOLDEN=1 npm run test:selectors and check them`);
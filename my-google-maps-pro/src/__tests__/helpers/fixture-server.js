@@ -0,0 +1,73 @@
+/**
+ * Fixture Server Test Helper
+ *
+ * Serves HTML fixtures of Google Maps pages from a local static server so the real
+ * extraction logic can run in a browser without touching the network.
+ * Each fixture is mounted at the Google Maps path listed in the manifest, which keeps
+ * URL-derived fields (like GPS coordinates) working exactly as in production.
+ */
+
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { join } from 'node:path';
+
+/**
+ * Starts a static server for the given fixtures on a random local port
+ *
+ * @param {Array} fixtures - Fixture manifest entries ({ name, file, path })
+ * @param {string} fixturesDir - Directory containing the fixture HTML files
+ * @returns {Promise<Object>} Object with baseUrl and close() function
+ */
+export async function startFixtureServer(fixtures, fixturesDir) {
+	const routes = new Map(fixtures.map((fixture) => [fixture.path, join(fixturesDir, fixture.file)]));
+
+	const server = createServer((req, res) => {
+		const { pathname } = new URL(req.url, 'http://localhost');
+		const file = routes.get(pathname);
+
+		if (!file) {
+			res.writeHead(404, { 'Content-Type': 'text/plain' });
+			res.end('Fixture not found');
+			return;
+		}
+
+		res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+		res.end(readFileSync(file));
+	});
+
+	await new Promise((resolve) => {
+		server.listen(0, '127.0.0.1', resolve);
+	});
+
+	return {
+		baseUrl: `http://127.0.0.1:${server.address().port}`,
+		close: async () => new Promise((resolve) => {
+			server.close(resolve);
+		}),
+	};
+}
+
+/**
+ * Compares extracted output against a golden value and lists every differing field
+ *
+ * @param {*} actual - Value produced by the extractor
+ * @param {*} expected - Golden value
+ * @param {string} [path=''] - Field path of the compared values
+ * @returns {Array<Object>} Array of { field, expected, actual } for each regressed field
+ */
+export function diffFields(actual, expected, path = '') {
+	const isContainer = (value) => value !== null && typeof value === 'object';
+
+	if (!isContainer(actual) || !isContainer(expected) || Array.isArray(actual) !== Array.isArray(expected)) {
+		return Object.is(actual, expected) ? [] : [{ field: path || '(root)', expected, actual }];
+	}
+
+	const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+	const diffs = [];
+	for (const key of keys) {
+		let fieldPath = path ? `${path}.${key}` : key;
+		if (Array.isArray(expected)) fieldPath = `${path}[${key}]`;
+		diffs.push(...diffFields(actual[key], expected[key], fieldPath));
+	}
+	return diffs;
+}
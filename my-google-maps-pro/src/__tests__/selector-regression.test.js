@@ -0,0 +1,105 @@
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+import { afterAll, beforeAll, describe, expect, it } from '@jest/globals';
+import { chromium } from 'playwright';
+
+import { diffFields, startFixtureServer } from './helpers/fixture-server.js';
+
+const { extractAboutAttributes } = await import('../utils/about-extractor.js');
+const { extractContributorReviews } = await import('../utils/contributor-reviews.js');
+const { extractOpeningHours } = await import('../utils/hours-parser.js');
+const { extractPlaceDetails, extractSearchResults } = await import('../utils/place-parser.js');
+const { extractPopularTimes } = await import('../utils/popular-times.js');
+const { extractReviewData } = await import('../utils/review-extractor.js');
+const { extractReviewSummary } = await import('../utils/review-summary.js');
+
+/**
+ * Selector Regression Suite
+ *
+ * Runs the real extraction logic against HTML fixtures served from a local static
+ * server and compares the output with golden JSON files. A failure lists exactly
+ * which fields regressed for which fixture.
+ *
+ * Most fixtures are synthetic: hand-written pages modelled on Google Maps markup.
+ * They pin the extraction logic and the bundled selectors to each other, but cannot
+ * reveal markup changes on Google's side. Fixtures with a `captured` entry in the
+ * manifest are real pages saved by helpers/capture-fixtures.js, and catch those.
+ *
+ * Requires a Playwright Chromium build (`npx playwright install chromium`). With
+ * SELECTOR_TESTS_REQUIRE_BROWSER set (as `npm run test:selectors` does), a missing
+ * browser or a missing captured place page, search feed or reviews panel fails the
+ * suite; otherwise the browser-based tests are skipped.
+ * Run with UPDATE_GOLDEN=1 to rewrite the golden files after an intended change.
+ */
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures', import.meta.url));
+const manifest = JSON.parse(readFileSync(`${FIXTURES_DIR}/manifest.json`, 'utf-8'));
+
+const EXTRACTORS = {
+	place: extractPlaceDetails,
+	hours: extractOpeningHours,
+	popularTimes: extractPopularTimes,
+	about: extractAboutAttributes,
+	reviewSummary: extractReviewSummary,
+	search: extractSearchResults,
+	reviews: extractReviewData,
+	contributorReviews: extractContributorReviews,
+};
+
+const goldenPath = (fixture) => `${FIXTURES_DIR}/golden/${fixture.name}.json`;
+const hasBrowser = existsSync(chromium.executablePath());
+const describeWithBrowser = hasBrowser || process.env.SELECTOR_TESTS_REQUIRE_BROWSER ? describe : describe.skip;
+const itWhenRequired = process.env.SELECTOR_TESTS_REQUIRE_BROWSER ? it : it.skip;
+
+describe('Selector regression fixtures', () => {
+	it.each(manifest.map((fixture) => [fixture.name, fixture]))('%s has an HTML file, golden output and known type', (_name, fixture) => {
+		expect(existsSync(`${FIXTURES_DIR}/${fixture.file}`)).toBe(true);
+		expect(existsSync(goldenPath(fixture))).toBe(true);
+		expect(Object.keys(EXTRACTORS)).toContain(fixture.type);
+	});
+
+	itWhenRequired('include pages captured from Google Maps for places, searches and reviews', () => {
+		const capturedTypes = manifest.filter((fixture) => fixture.captured).map((fixture) => fixture.type);
+		expect(capturedTypes).toEqual(expect.arrayContaining(['place', 'search', 'reviews']));
+	});
+});
+
+describeWithBrowser('Selector regression (HTML fixtures)', () => {
+	let server;
+	let browser;
+
+	beforeAll(async () => {
+		if (!hasBrowser) {
+			throw new Error('Chromium is not installed, run `npx playwright install chromium` before the selector regression suite');
+		}
+		server = await startFixtureServer(manifest, FIXTURES_DIR);
+		browser = await chromium.launch();
+	});
+
+	afterAll(async () => {
+		await browser?.close();
+		await server?.close();
+	});
+
+	it.each(manifest.map((fixture) => [fixture.name, fixture]))('%s matches its golden output', async (_name, fixture) => {
+		const page = await browser.newPage();
+		try {
+			// Keep the suite offline: only the fixture server may be reached
+			await page.route('**/*', async (route) => (
+				route.request().url().startsWith(server.baseUrl) ? route.continue() : route.abort()
+			));
+			await page.goto(`${server.baseUrl}${fixture.path}`);
+
+			const actual = await EXTRACTORS[fixture.type](page);
+
+			if (process.env.UPDATE_GOLDEN) {
+				writeFileSync(goldenPath(fixture), `${JSON.stringify(actual, null, '\t')}\n`);
+			}
+
+			const golden = JSON.parse(readFileSync(goldenPath(fixture), 'utf-8'));
+			expect(diffFields(actual, golden)).toEqual([]);
+		} finally {
+			await page.close();
+		}
+	});
+});
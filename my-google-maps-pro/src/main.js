@@ -5,17 +5,46 @@
  * - Proxy rotation using Apify residential proxies
  * - CAPTCHA solving integration
  * - Review scrolling & extraction
+ * - Structured opening hours and open/closed status
+ * - Popular times and live busyness
+ * - About tab attributes (service options, accessibility, amenities, ...)
  * - Photo downloads
  * - Email/social media extraction from linked websites
+ * - Reviews written by contributor profiles
+ * - Resuming migrated or resurrected runs from persisted crawl state
+ * - Change monitoring against the previous run
+ * - Signed webhooks for scraped places and the run summary
+ * - Run summary with per-search counts, failures and field coverage
+ * - Item normalization and validation against the dataset schema
  */
 
 import { Actor } from 'apify';
 import { PlaywrightCrawler, Dataset } from 'crawlee';
 import { createProxyConfiguration } from './utils/proxy-config.js';
 import { detectCaptcha, solveCaptcha } from './utils/captcha-solver.js';
-import { scrollAndExtractReviews } from './utils/review-extractor.js';
+import { scrollAndExtractReviews, searchAndExtractReviews } from './utils/review-extractor.js';
 import { extractPhotoUrls, downloadPhotos } from './utils/photo-downloader.js';
 import { extractContactInfo } from './utils/contact-extractor.js';
+import { extractSearchResults, extractPlaceDetails } from './utils/place-parser.js';
+import { extractOpeningHours } from './utils/hours-parser.js';
+import { extractPopularTimes } from './utils/popular-times.js';
+import { extractAboutAttributes } from './utils/about-extractor.js';
+import { extractReviewSummary } from './utils/review-summary.js';
+import { resolveSelectorPack, getSelectorPackLabel, recordFieldYield } from './utils/selector-pack.js';
+import { normalizePlaceInputs, getPlaceKey, parsePlaceCoordinates } from './utils/place-input.js';
+import { createSearchRequest, buildSearchUrl, geocodeLocation, parseViewportFromUrl, DEFAULT_SEARCH_ZOOM, MAPS_HOME_URL } from './utils/search-url.js';
+import { createAreaSearchRequests, createAreaFilter } from './utils/geo-grid.js';
+import { resolveReviewsSince } from './utils/review-dates.js';
+import { getWatermarkKey, getWatermarkSince, openWatermarkStore, updateReviewWatermark } from './utils/review-watermark.js';
+import { REVIEWS_OUTPUT_MODES, openReviewsDataset, flattenReviews, summarizeReviews } from './utils/review-dataset.js';
+import { addReviewSentiment, analyzeReviews } from './utils/review-analytics.js';
+import { getSearchHits, recordSearchHits } from './utils/search-hits.js';
+import { DEFAULT_CHANGES_DATASET_NAME, closeMonitoringRun, createPlaceSnapshot, diffPlaceSnapshots, getSnapshotKey, openChangesDataset, openSnapshotStore } from './utils/place-monitor.js';
+import { RUN_SUMMARY_KEY, buildRunSummary, recordCaptcha, recordFailure, recordFieldCoverage, recordSearchStats, recordTiming } from './utils/run-summary.js';
+import { WEBHOOK_EVENTS, normalizeWebhookConfig, sendPlaceBatches, sendWebhooks } from './utils/webhooks.js';
+import { preparePlaceItem, unwrapRedirectUrl } from './utils/item-quality.js';
+import { getUnwrittenReviewRows, openCrawlState, persistCrawlState, recordWrittenReviewRows, summarizeCrawlState } from './utils/crawl-state.js';
+import { extractContributorName, flattenContributorReviews, normalizeContributorInputs, scrollAndExtractContributorReviews } from './utils/contributor-reviews.js';
 
 await Actor.init();
 
@@ -24,7 +53,9 @@ let input = await Actor.getInput();
 console.log('🔍 Input received:', JSON.stringify(input, null, 2));
 
 // Provide demo defaults if no input provided (useful for console testing)
-if (!input || !input.searches || input.searches.length === 0) {
+const hasSearches = input?.searches?.length > 0;
+const hasDirectPlaces = input?.startUrls?.length > 0 || input?.placeIds?.length > 0 || input?.contributorUrls?.length > 0;
+if (!input || (!hasSearches && !hasDirectPlaces)) {
 	console.log('⚠️  No input provided. Using demo configuration...');
 	console.log('⚠️  WARNING: Google Maps scraping requires Apify proxies (paid plan)');
 	console.log('⚠️  Free tier may experience timeouts or blocks from Google');
@@ -62,7 +93,109 @@ if (!input.proxyConfiguration?.useApifyProxy) {
 	console.log('💡 Recommendation: Enable Apify residential proxies in input configuration');
 }
 
-console.log(`📊 Configuration: ${input.searches.length} searches, max ${input.maxPlaces} places each, concurrency: ${input.maxConcurrency || 1}`);
+// Normalize direct place input (place URLs, place IDs, CIDs, short links)
+const directPlaces = normalizePlaceInputs(input.startUrls, input.placeIds);
+for (const { value, error } of directPlaces.invalid) {
+	console.log(`⚠️  Skipping invalid place input ${JSON.stringify(value)}: ${error}`);
+}
+
+// Normalize contributor profiles whose reviews are scraped
+const contributorInput = normalizeContributorInputs(input.contributorUrls);
+for (const { value, error } of contributorInput.invalid) {
+	console.log(`⚠️  Skipping invalid contributor ${JSON.stringify(value)}: ${error}`);
+}
+
+console.log(`📊 Configuration: ${input.searches?.length || 0} searches, max ${input.maxPlaces} places each, ${directPlaces.places.length} direct places, ${contributorInput.contributors.length} contributors, concurrency: ${input.maxConcurrency || 1}`);
+
+// Progress of the run, restored when the run migrated or was resurrected
+const crawlState = await openCrawlState();
+const resumedProgress = summarizeCrawlState(crawlState);
+if (resumedProgress.searches || resumedProgress.places || resumedProgress.contributors) {
+	console.log(`♻️  Resuming: ${resumedProgress.searches} searches, ${resumedProgress.places} places and ${resumedProgress.contributors} contributors already done`);
+}
+
+// Resolve selector packs (input can hot-patch selectors or add packs to compare)
+const selectorPack = resolveSelectorPack(input.selectorPack);
+const comparisonPacks = (input.compareSelectorPacks || []).map((pack) => resolveSelectorPack(pack));
+console.log(`🧩 Selector pack: ${getSelectorPackLabel(selectorPack)}${comparisonPacks.length ? `, comparing with ${comparisonPacks.map(getSelectorPackLabel).join(', ')}` : ''}`);
+
+// Review options: a date cutoff sorts by newest so scrolling can stop at the cutoff
+const reviewsSince = input.reviewsSince ? resolveReviewsSince(input.reviewsSince) : null;
+let reviewsSort = input.reviewsSort || (reviewsSince ? 'newest' : undefined);
+if (input.includeReviews && (reviewsSort || reviewsSince)) {
+	console.log(`💬 Reviews: sorted by ${reviewsSort || 'mostRelevant'}${reviewsSince ? `, since ${reviewsSince.toISOString()}` : ''}`);
+}
+
+// Review keywords: only collect the reviews the "Search reviews" box finds for them
+const reviewKeywords = (input.reviewKeywords || []).map((keyword) => keyword.trim()).filter(Boolean);
+if (input.includeReviews && reviewKeywords.length > 0) {
+	console.log(`🔎 Reviews: searching for ${reviewKeywords.map((keyword) => `"${keyword}"`).join(', ')}`);
+	if (input.incrementalReviews) {
+		console.log('⚠️  Incremental reviews do not support reviewKeywords, ignoring incrementalReviews');
+	}
+}
+
+// Incremental reviews: stop at the reviews seen in earlier runs, kept in a named store
+const watermarkStore = input.includeReviews && input.incrementalReviews && reviewKeywords.length === 0
+	? await openWatermarkStore(input.reviewWatermarkStoreName)
+	: null;
+if (watermarkStore) {
+	if (reviewsSort && reviewsSort !== 'newest') {
+		console.log(`⚠️  Incremental reviews need the newest sort order, ignoring reviewsSort "${reviewsSort}"`);
+	}
+	reviewsSort = 'newest';
+	console.log('💬 Incremental reviews: only reviews newer than the previous run are collected');
+}
+
+// Reviews output: nested in each place item, or one row per review in the run's reviews dataset
+// (or a named one)
+const reviewsOutput = input.reviewsOutput || 'nested';
+if (!REVIEWS_OUTPUT_MODES.includes(reviewsOutput)) {
+	throw new Error(`Unknown reviewsOutput: ${reviewsOutput}. Use one of: ${REVIEWS_OUTPUT_MODES.join(', ')}`);
+}
+const reviewsDatasetName = input.reviewsDatasetName?.trim() || null;
+const reviewsDatasetLabel = reviewsDatasetName ? `the dataset "${reviewsDatasetName}"` : 'the reviews dataset of the run';
+const reviewsDataset = input.includeReviews && reviewsOutput === 'dataset'
+	? await openReviewsDataset(reviewsDatasetName)
+	: null;
+if (reviewsDataset) {
+	console.log(`💬 Reviews are written to ${reviewsDatasetLabel}, one row per review`);
+}
+
+// Contributor reviews always go to the reviews dataset, tagged with the reviewed place
+const contributorReviewsDataset = contributorInput.contributors.length > 0
+	? reviewsDataset || await openReviewsDataset(reviewsDatasetName)
+	: null;
+if (contributorReviewsDataset) {
+	console.log(`👤 Contributor reviews are written to ${reviewsDatasetLabel}`);
+}
+
+// Monitoring: compare each place with its snapshot from the previous run, kept in a named store
+const snapshotStore = input.monitorChanges ? await openSnapshotStore(input.snapshotStoreName) : null;
+const changesDatasetName = input.changesDatasetName || DEFAULT_CHANGES_DATASET_NAME;
+const changesDataset = snapshotStore ? await openChangesDataset(changesDatasetName) : null;
+if (changesDataset) {
+	console.log(`🔔 Monitoring: changes since the previous run are written to the dataset "${changesDatasetName}"`);
+}
+
+// Webhooks: scraped places (alone or in batches) and the run summary are posted to the endpoints
+const webhookConfig = normalizeWebhookConfig(input.webhookConfiguration);
+if (webhookConfig) {
+	console.log(`📡 Webhooks: ${webhookConfig.urls.length} endpoints, ${webhookConfig.batchSize} places per request${webhookConfig.secret ? ', signed' : ''}`);
+}
+
+// Build SEARCH requests; area searches are split into one request per map tile
+// Area place budgets and search hits (searches that surfaced each place) live in the crawl state
+const areaFilters = new Map();
+const searchRequests = (input.searches || []).flatMap((search, index) => {
+	const requests = search.area ? createAreaSearchRequests(search, index) : [createSearchRequest(search)];
+	if (search.area) {
+		areaFilters.set(index, createAreaFilter(search.area));
+		console.log(`🗺️  Area search "${search.query}": ${requests.length} tiles at zoom ${search.zoom ?? DEFAULT_SEARCH_ZOOM}`);
+	}
+	// Search hits name the input search that found a place
+	return requests.map((request) => ({ ...request, userData: { ...request.userData, searchIndex: index } }));
+});
 
 // Create proxy configuration
 const proxyConfiguration = await createProxyConfiguration(
@@ -78,6 +211,9 @@ const crawler = new PlaywrightCrawler({
 	launchContext: {
 		// Optimize Chrome for low memory environments
 		launchOptions: {
+			// The extractors parse English labels; generated URLs set hl=en, the locale covers
+			// short links and the pages they redirect to
+			locale: 'en-US',
 			args: [
 				'--disable-dev-shm-usage', // Overcome limited resource problems
 				'--disable-gpu', // Disable GPU hardware acceleration
@@ -95,87 +231,146 @@ const crawler = new PlaywrightCrawler({
 			});
 		},
 	],
+	// Requests that failed all retries count as failures of their stage in the run summary
+	failedRequestHandler({ request }) {
+		crawlState.runStats = recordFailure(crawlState.runStats, request.userData.label.toLowerCase());
+	},
 	async requestHandler({ page, request, crawler }) {
+		const handlerStartedAt = Date.now();
+
 		// Handle search page
 		if (request.userData.label === 'SEARCH') {
-			await page.goto('https://www.google.com/maps');
+			const { searchQuery, location, zoom, areaIndex, searchIndex } = request.userData;
+			let { viewport } = request.userData;
 
-			// Check for CAPTCHA
-			if (await detectCaptcha(page)) {
-				if (input.captchaConfiguration?.antiCaptchaApiKey) {
-					await solveCaptcha(page, input.captchaConfiguration);
-				} else {
-					throw new Error('CAPTCHA detected but no API key provided');
-				}
+			// Area tiles overlap, so they scroll the whole feed and share the area's place budget
+			const isAreaTile = areaFilters.has(areaIndex);
+			const maxPlaces = input?.maxPlaces || 100;
+			if (isAreaTile && (crawlState.areaPlaceCounts[areaIndex] || 0) >= maxPlaces) {
+				console.log(`Area search "${searchQuery}" already has ${maxPlaces} places, skipping tile`);
+				return;
 			}
 
-			// Type search query
-			await page.type('input#searchboxinput', request.userData.query);
-			await page.keyboard.press('Enter');
-			await page.waitForTimeout(5000 + Math.random() * 3000);
+			// A search that ran before the run migrated enqueues the places it found again
+			let { places, searchViewport } = crawlState.searchResults[request.uniqueKey] || {};
+			if (places) {
+				console.log(`♻️  Search "${searchQuery}" already ran, enqueuing its ${places.length} places again`);
+			} else {
+				// A location with a zoom is geocoded so the search can be centered on it
+				if (!viewport && location && zoom) {
+					const center = await geocodeLocation(page, location);
+					if (center) {
+						viewport = { ...center, zoom };
+					} else {
+						console.log(`⚠️  Could not geocode "${location}", searching without zoom`);
+					}
+				}
 
-			// Scroll results panel until enough places
-			let places = [];
-			let scrollAttempts = 0;
-			const maxScrollAttempts = 20;
-			
-			while (places.length < (input?.maxPlaces || 100) && scrollAttempts < maxScrollAttempts) {
-				const newPlaces = await page.$$eval(
-					'a[href*="maps/place"]',
-					(els) =>
-						els.map((el) => {
-							// Try multiple selectors for title
-							const title = 
-								el.querySelector('div.fontHeadlineSmall')?.innerText ||
-								el.querySelector('div.qBF1Pd')?.innerText ||
-								el.querySelector('span.OSrXXb')?.innerText ||
-								el.querySelector('div[role="heading"]')?.innerText ||
-								el.textContent?.trim()?.split('\n')[0] ||
-								'Unknown Place';
-							
-							return {
-								title: title.trim(),
-								url: el.getAttribute('href'),
-							};
-						}).filter(place => place.url && place.url.includes('/maps/place/'))
-				);
-				
-				// Merge new places with existing, avoiding duplicates by URL
-				const existingUrls = new Set(places.map(p => p.url));
-				const uniqueNewPlaces = newPlaces.filter(p => !existingUrls.has(p.url));
-				places = [...places, ...uniqueNewPlaces];
-				
-				console.log(`Found ${places.length} places so far...`);
-				
-				// Scroll the results panel
-				await page.evaluate(() => {
-					const resultsPanel = document.querySelector('div[role="feed"]') || 
-										document.querySelector('div[aria-label*="Results"]');
-					if (resultsPanel) {
-						resultsPanel.scrollBy(0, 1000);
+				await page.goto(viewport ? buildSearchUrl({ query: searchQuery, ...viewport }) : MAPS_HOME_URL);
+
+				// Check for CAPTCHA
+				if (await detectCaptcha(page)) {
+					crawlState.runStats = recordCaptcha(crawlState.runStats, 'encountered');
+					if (input.captchaConfiguration?.antiCaptchaApiKey) {
+						await solveCaptcha(page, input.captchaConfiguration);
+						crawlState.runStats = recordCaptcha(crawlState.runStats, 'solved');
+					} else {
+						throw new Error('CAPTCHA detected but no API key provided');
 					}
-				});
-				await page.waitForTimeout(1500);
-				scrollAttempts++;
+				}
+
+				// Type search query (centered searches already have it in the URL)
+				if (!viewport) {
+					await page.type('input#searchboxinput', request.userData.query);
+					await page.keyboard.press('Enter');
+				}
+				await page.waitForTimeout(5000 + Math.random() * 3000);
+
+				// Record the viewport the results were actually loaded for
+				searchViewport = parseViewportFromUrl(page.url()) || viewport || null;
+
+				// Scroll results panel until enough places
+				places = [];
+				let scrollAttempts = 0;
+				let staleScrolls = 0;
+				const maxScrollAttempts = 20;
+				
+				while ((isAreaTile || places.length < maxPlaces) && scrollAttempts < maxScrollAttempts && staleScrolls < 3) {
+					const newPlaces = await extractSearchResults(page, selectorPack);
+					
+					// Merge new places with existing, avoiding duplicates by place
+					const existingKeys = new Set(places.map(p => getPlaceKey(p.url)));
+					const uniqueNewPlaces = newPlaces.filter(p => !existingKeys.has(getPlaceKey(p.url)));
+					places = [...places, ...uniqueNewPlaces];
+					staleScrolls = uniqueNewPlaces.length === 0 ? staleScrolls + 1 : 0;
+					
+					console.log(`Found ${places.length} places so far...`);
+					
+					// Scroll the results panel
+					await page.evaluate(() => {
+						const resultsPanel = document.querySelector('div[role="feed"]') || 
+											document.querySelector('div[aria-label*="Results"]');
+						if (resultsPanel) {
+							resultsPanel.scrollBy(0, 1000);
+						}
+					});
+					await page.waitForTimeout(1500);
+					scrollAttempts++;
+				}
+
+				crawlState.searchResults[request.uniqueKey] = {
+					places: places.map(({ url, title }) => ({ url, title })),
+					searchViewport,
+				};
 			}
 
-			// Enqueue detail pages
-			for (const place of places.slice(0, input?.maxPlaces || 100)) {
-				await crawler.addRequests([
+			// Record the rank of every place in this search, also for places other searches enqueued
+			crawlState.searchHits = recordSearchHits(crawlState.searchHits, { searchIndex, query: searchQuery, location }, places.map((place) => getPlaceKey(place.url)));
+
+			// Enqueue detail pages. Tiles overlap the area edges: places whose result link puts them
+			// outside the area are left out before they use up its maxPlaces
+			const areaFilter = isAreaTile ? areaFilters.get(areaIndex) : null;
+			const enqueuedPlaces = (isAreaTile ? places : places.slice(0, maxPlaces)).filter((place) => {
+				const coordinates = areaFilter ? parsePlaceCoordinates(place.url) : null;
+				return !coordinates || areaFilter(coordinates);
+			});
+			for (const place of enqueuedPlaces) {
+				if (isAreaTile && (crawlState.areaPlaceCounts[areaIndex] || 0) >= maxPlaces) {
+					break;
+				}
+				const placeKey = getPlaceKey(place.url);
+				const { addedRequests } = await crawler.addRequests([
 					{
 						url: place.url,
-						userData: { label: 'DETAIL', placeTitle: place.title },
+						// Keyed by place so a place found by several searches or neighbouring tiles is scraped once
+						uniqueKey: `place:${placeKey}`,
+						userData: { label: 'DETAIL', placeTitle: place.title, placeKey, searchViewport, areaIndex },
 					},
 				]);
+				if (!addedRequests[0]?.wasAlreadyPresent) {
+					crawlState.runStats = recordSearchStats(crawlState.runStats, searchIndex, { enqueued: 1 });
+					if (isAreaTile) {
+						crawlState.areaPlaceCounts[areaIndex] = (crawlState.areaPlaceCounts[areaIndex] || 0) + 1;
+					}
+				}
 			}
+			crawlState.runStats = recordTiming(crawlState.runStats, 'search', Date.now() - handlerStartedAt);
+			await persistCrawlState(crawlState);
 		} else if (request.userData.label === 'DETAIL') {
-			// Handle detail page
+			// Handle detail page, unless an earlier attempt already pushed the place
+			const completionKey = request.userData.placeKey || getPlaceKey(request.url);
+			if (crawlState.completedPlaces[completionKey]) {
+				console.log(`Skipping ${request.userData.placeTitle || request.url}: already scraped`);
+				return;
+			}
 			console.log(`Scraping: ${request.userData.placeTitle || request.url}`);
 			
 			// Check for CAPTCHA
 			if (await detectCaptcha(page)) {
+				crawlState.runStats = recordCaptcha(crawlState.runStats, 'encountered');
 				if (input.captchaConfiguration?.antiCaptchaApiKey) {
 					await solveCaptcha(page, input.captchaConfiguration);
+					crawlState.runStats = recordCaptcha(crawlState.runStats, 'solved');
 				}
 			}
 
@@ -188,162 +383,348 @@ const crawler = new PlaywrightCrawler({
 			await page.waitForTimeout(2000);
 
 			// Extract basic place data using updated selectors
-			const basicData = await page.evaluate(() => {
-				const gpsMatch = window.location.href.match(/!8m2!3d([-\d.]+)!4d([-\d.]+)/);
-				
-				// Helper function to get text content safely
-				const getText = (selectors) => {
-					for (const selector of selectors) {
-						const element = document.querySelector(selector);
-						if (element?.textContent?.trim()) {
-							return element.textContent.trim();
-						}
-					}
-					return null;
-				};
+			const basicData = await extractPlaceDetails(page, selectorPack);
 
-				// Helper to get attribute safely
-				const getAttr = (selectors, attr) => {
-					for (const selector of selectors) {
-						const element = document.querySelector(selector);
-						const value = element?.getAttribute(attr);
-						if (value) return value;
-					}
-					return null;
-				};
-
-				// Extract title - try multiple selectors
-				const title = getText([
-					'h1.DUwDvf.lfPIob', // Current main selector
-					'h1[class*="fontHeadlineLarge"]',
-					'h1',
-					'div[role="main"] h1',
-					'[data-section-id="oh"] h2' // Fallback
-				]);
-
-				// Extract address - try multiple approaches
-				const address = getText([
-					'button[data-item-id="address"] div.fontBodyMedium',
-					'button[data-item-id="address"] div',
-					'[data-tooltip="Copy address"]',
-					'button[aria-label*="Address"] div',
-					'div.rogA2c div.Io6YTe' // Old selector as fallback
-				]);
+			// Place ID inputs are keyed by place ID until the page shows their CID, the key of search results
+			const cidKey = basicData.cid ? `cid:${basicData.cid}` : null;
+			if (cidKey && cidKey !== completionKey && crawlState.completedPlaces[cidKey]) {
+				console.log(`Skipping ${basicData.title || request.url}: already scraped`);
+				return;
+			}
 
-				// Extract phone - try multiple approaches
-				const phone = getText([
-					'button[data-item-id*="phone"] div.fontBodyMedium',
-					'button[data-item-id*="phone"] div',
-					'button[aria-label*="Phone"] div',
-					'a[href^="tel:"]',
-					'button[data-tooltip="Copy phone number"]'
-				]);
+			// Drop places only found by area searches whose area they lie outside of (direct inputs are always kept)
+			const { placeKey, directInput } = request.userData;
+			const placeSearchHits = getSearchHits(crawlState.searchHits, placeKey, areaFilters, basicData.gps);
+			if (placeKey && !directInput && placeSearchHits.length === 0 && getSearchHits(crawlState.searchHits, placeKey).length > 0) {
+				console.log(`Skipping ${basicData.title || request.url}: outside the search area`);
+				return;
+			}
 
-				// Extract website
-				const website = getAttr([
-					'a[data-item-id="authority"]',
-					'a[aria-label*="Website"]',
-					'a[data-tooltip*="website"]',
-					'button[data-item-id*="authority"] + a'
-				], 'href');
-
-				// Extract rating - try multiple approaches
-				let rating = null;
-				const ratingElement = document.querySelector('div.F7nice span[role="img"]') || 
-									  document.querySelector('span[role="img"][aria-label*="star"]') ||
-									  document.querySelector('div.fontDisplayLarge');
-				
-				if (ratingElement) {
-					const ariaLabel = ratingElement.getAttribute('aria-label');
-					const textContent = ratingElement.textContent;
-					const match = (ariaLabel || textContent || '').match(/(\d+\.?\d*)/);
-					rating = match ? match[1] : null;
+			// Run comparison packs on the same page and track how many fields each one fills
+			if (comparisonPacks.length > 0) {
+				crawlState.selectorPackYield = recordFieldYield(crawlState.selectorPackYield, getSelectorPackLabel(selectorPack), basicData);
+				for (const pack of comparisonPacks) {
+					try {
+						const packData = await extractPlaceDetails(page, pack);
+						crawlState.selectorPackYield = recordFieldYield(crawlState.selectorPackYield, getSelectorPackLabel(pack), packData);
+					} catch (error) {
+						console.error(`Error running selector pack ${getSelectorPackLabel(pack)}:`, error);
+					}
 				}
-
-				// Get review count
-				const reviewCount = getText([
-					'div.F7nice span[aria-label*="reviews"]',
-					'button[aria-label*="reviews"] span',
-					'span[aria-label*="reviews"]'
-				]);
-
-				return {
-					title,
-					address,
-					phone,
-					website,
-					rating,
-					reviewCount,
-					gps: gpsMatch
-						? { lat: parseFloat(gpsMatch[1]), lng: parseFloat(gpsMatch[2]) }
-						: null,
-				};
-			});
+				await Actor.setValue('SELECTOR_PACK_YIELD', crawlState.selectorPackYield);
+			}
 
 			const placeData = {
 				...basicData,
+				// Direct inputs know their identifiers even when the loaded URL does not show them
+				placeId: basicData.placeId || request.userData.placeId || null,
+				cid: basicData.cid || request.userData.cid || null,
 				url: request.loadedUrl,
+				...(request.userData.searchViewport && { searchViewport: request.userData.searchViewport }),
+				searchHits: placeSearchHits,
 				scrapedAt: new Date().toISOString(),
 			};
 
+			// Extract opening hours and open/closed status
+			try {
+				placeData.openingHours = await extractOpeningHours(page, selectorPack);
+			} catch (error) {
+				console.error('Error extracting opening hours:', error);
+				crawlState.runStats = recordFailure(crawlState.runStats, 'openingHours');
+				placeData.openingHours = null;
+			}
+
+			// Extract popular times if enabled
+			if (input.includePopularTimes) {
+				try {
+					placeData.popularTimes = await extractPopularTimes(page, selectorPack);
+				} catch (error) {
+					console.error('Error extracting popular times:', error);
+					crawlState.runStats = recordFailure(crawlState.runStats, 'popularTimes');
+					placeData.popularTimes = null;
+				}
+			}
+
+			// Extract About tab attributes if enabled
+			if (input.includeAboutAttributes) {
+				try {
+					placeData.about = await extractAboutAttributes(page, selectorPack);
+				} catch (error) {
+					console.error('Error extracting About attributes:', error);
+					crawlState.runStats = recordFailure(crawlState.runStats, 'about');
+					placeData.about = null;
+				}
+			}
+
 			// Log what we extracted
 			console.log(`✅ Extracted: ${basicData.title || 'Unknown'} - ${basicData.address || 'No address'} - Rating: ${basicData.rating || 'N/A'}`);
 
-			// Extract reviews if enabled
+			// Extract reviews if enabled; the watermark moves once the place is pushed
+			let watermarkUpdate = null;
 			if (input.includeReviews) {
 				try {
-					const reviews = await scrollAndExtractReviews(page, {
+					const watermarkKey = watermarkStore ? getWatermarkKey(placeData) : null;
+					const watermark = watermarkKey ? await watermarkStore.getValue(watermarkKey) : null;
+					// The later of the input cutoff and the watermark date wins
+					const watermarkSince = getWatermarkSince(watermark);
+					const since = watermarkSince && (!reviewsSince || watermarkSince > reviewsSince) ? watermarkSince : reviewsSince;
+
+					const reviewOptions = {
 						maxReviews: input.maxReviews || 50,
-					});
-					placeData.reviews = reviews;
+						selectorPack,
+						sort: reviewsSort,
+						minStars: input.reviewsMinStars,
+						maxStars: input.reviewsMaxStars,
+						since,
+						now: new Date(placeData.scrapedAt),
+						textVersion: input.reviewsTextVersion,
+						knownReviewIds: watermark ? new Set(watermark.reviewIds) : undefined,
+					};
+					let reviews = reviewKeywords.length > 0
+						? await searchAndExtractReviews(page, reviewKeywords, reviewOptions)
+						: await scrollAndExtractReviews(page, reviewOptions);
+					// Offline post-processing: sentiment per review, response and rating metrics per place
+					if (input.includeReviewAnalytics) {
+						reviews = reviews.map((review) => addReviewSentiment(review));
+						placeData.reviewAnalytics = analyzeReviews(reviews);
+					}
+					if (reviewsDataset) {
+						// Rows an earlier attempt of this request wrote are not written again
+						const rows = getUnwrittenReviewRows(flattenReviews(placeData, reviews), crawlState.writtenReviewRows[completionKey]);
+						await reviewsDataset.pushData(rows);
+						crawlState.writtenReviewRows[completionKey] = recordWrittenReviewRows(crawlState.writtenReviewRows[completionKey], rows);
+						// Persisted right away: an abort before the place is pushed sends no persist event
+						await persistCrawlState(crawlState);
+						placeData.reviewsSummary = summarizeReviews(reviews);
+					} else {
+						placeData.reviews = reviews;
+					}
+
+					if (watermarkKey) {
+						watermarkUpdate = { key: watermarkKey, value: updateReviewWatermark(watermark, reviews, new Date(placeData.scrapedAt)) };
+						console.log(`💬 ${reviews.length} new reviews${watermark ? ` since ${watermark.updatedAt}` : ' (first run for this place)'}`);
+					}
 				} catch (error) {
 					console.error('Error extracting reviews:', error);
-					placeData.reviews = [];
+					crawlState.runStats = recordFailure(crawlState.runStats, 'reviews');
+					if (reviewsDataset) {
+						placeData.reviewsSummary = summarizeReviews([]);
+					} else {
+						placeData.reviews = [];
+					}
+					if (input.includeReviewAnalytics) {
+						placeData.reviewAnalytics = analyzeReviews([]);
+					}
 				}
 			}
 
+			// Extract the star distribution and review topics; this ends on the Overview tab, like review
+			// extraction, so photos are collected from the Overview tab
+			try {
+				const { ratingHistogram, reviewTopics } = await extractReviewSummary(page, selectorPack);
+				placeData.ratingHistogram = ratingHistogram;
+				placeData.reviewTopics = reviewTopics;
+			} catch (error) {
+				console.error('Error extracting review summary:', error);
+				crawlState.runStats = recordFailure(crawlState.runStats, 'reviewSummary');
+				placeData.ratingHistogram = null;
+				placeData.reviewTopics = [];
+			}
+
 			// Download photos if enabled
 			if (input.downloadPhotos) {
 				try {
 					const photoUrls = await extractPhotoUrls(page);
-					const placeId = request.loadedUrl.match(/place\/([^/]+)/)?.[1] || 'unknown';
-					const downloadedPhotos = await downloadPhotos(photoUrls, placeId);
+					const photoKey = placeData.placeId || placeData.cid || request.loadedUrl.match(/place\/([^/]+)/)?.[1] || 'unknown';
+					const downloadedPhotos = await downloadPhotos(photoUrls, photoKey);
 					placeData.photos = downloadedPhotos;
 				} catch (error) {
 					console.error('Error downloading photos:', error);
+					crawlState.runStats = recordFailure(crawlState.runStats, 'photos');
 					placeData.photos = [];
 				}
 			}
 
 			// Extract contact info from website if enabled
-			if (input.extractContactInfo && placeData.website) {
+			// Website links often go through a Google redirect (/url?q=...); visit the target itself
+			const website = unwrapRedirectUrl(placeData.website);
+			if (input.extractContactInfo && website) {
 				try {
 					// Navigate to website in new context to extract contact info
 					const websitePage = await page.context().newPage();
-					await websitePage.goto(placeData.website, { timeout: 10000 });
+					await websitePage.goto(website, { timeout: 10000 });
 					const contactInfo = await extractContactInfo(websitePage);
 					placeData.contactInfo = contactInfo;
 					await websitePage.close();
 				} catch (error) {
 					console.error('Error extracting contact info:', error);
+					crawlState.runStats = recordFailure(crawlState.runStats, 'contact');
 					placeData.contactInfo = null;
 				}
 			}
 
-			await Dataset.pushData(placeData);
+			// Normalize text fields and flag values that do not match the dataset schema
+			const item = preparePlaceItem(placeData);
+			const { qualityIssues, ...itemFields } = item;
+			if (qualityIssues.length > 0) {
+				console.log(`⚠️  Quality issues for ${item.title}: ${qualityIssues.map((issue) => `${issue.field} ${issue.code}`).join(', ')}`);
+			}
+
+			await Dataset.pushData(item);
+			if (watermarkUpdate) {
+				await watermarkStore.setValue(watermarkUpdate.key, watermarkUpdate.value);
+			}
+
+			// Monitoring: report changes, then replace the snapshot
+			if (snapshotStore) {
+				const snapshotKey = getSnapshotKey(item);
+				const snapshot = createPlaceSnapshot(item);
+				const changes = diffPlaceSnapshots(await snapshotStore.getValue(snapshotKey), snapshot);
+				if (changes.length > 0) {
+					await changesDataset.pushData(changes);
+					console.log(`🔔 ${changes.map((change) => change.changeType).join(', ')}`);
+				}
+				await snapshotStore.setValue(snapshotKey, snapshot);
+				crawlState.monitoredPlaces[snapshotKey] = item.scrapedAt;
+			}
+
+			// Remember the place, so a migrated or resurrected run does not push it again; under its CID
+			// when known, so a search result for a place given by place ID is skipped too
+			crawlState.completedPlaces[cidKey || completionKey] = item.scrapedAt;
+			crawlState.runStats = recordFieldCoverage(crawlState.runStats, itemFields);
+			for (const { searchIndex } of placeSearchHits) {
+				crawlState.runStats = recordSearchStats(crawlState.runStats, searchIndex, { scraped: 1 });
+			}
+			crawlState.runStats = recordTiming(crawlState.runStats, 'detail', Date.now() - handlerStartedAt);
+			delete crawlState.writtenReviewRows[completionKey];
+			if (webhookConfig) {
+				crawlState.pendingWebhookPlaces.push(item);
+			}
+			await persistCrawlState(crawlState);
+
+			// Pending places are part of the state and only leave it once delivered, so places of a
+			// failed, timed out or interrupted delivery are sent again with a later batch
+			if (webhookConfig && crawlState.pendingWebhookPlaces.length >= webhookConfig.batchSize) {
+				const delivered = await sendPlaceBatches(webhookConfig, crawlState.pendingWebhookPlaces);
+				if (delivered.length > 0) {
+					await persistCrawlState(crawlState);
+				}
+			}
+		} else if (request.userData.label === 'CONTRIBUTOR') {
+			// Handle contributor profile: every review the contributor wrote, with its place
+			const { contributorId } = request.userData;
+			if (crawlState.completedContributors[contributorId]) {
+				console.log(`Skipping contributor ${contributorId}: already scraped`);
+				return;
+			}
+			console.log(`Scraping contributor: ${contributorId}`);
+
+			if (await detectCaptcha(page)) {
+				crawlState.runStats = recordCaptcha(crawlState.runStats, 'encountered');
+				if (input.captchaConfiguration?.antiCaptchaApiKey) {
+					await solveCaptcha(page, input.captchaConfiguration);
+					crawlState.runStats = recordCaptcha(crawlState.runStats, 'solved');
+				}
+			}
+
+			try {
+				await page.waitForSelector(selectorPack.contributorReview.container, { timeout: 10000 });
+			} catch {
+				console.log('Warning: Contributor reviews not found immediately, continuing...');
+			}
+
+			const scrapedAt = new Date().toISOString();
+			const name = await extractContributorName(page, selectorPack);
+			const reviews = await scrollAndExtractContributorReviews(page, {
+				maxReviews: input.maxReviews || 50,
+				selectorPack,
+				minStars: input.reviewsMinStars,
+				maxStars: input.reviewsMaxStars,
+				since: reviewsSince,
+				now: new Date(scrapedAt),
+				textVersion: input.reviewsTextVersion,
+			});
+
+			await contributorReviewsDataset.pushData(flattenContributorReviews({ contributorId, name }, reviews, scrapedAt));
+			console.log(`✅ ${name || contributorId}: ${reviews.length} reviews`);
+
+			crawlState.completedContributors[contributorId] = scrapedAt;
+			crawlState.runStats = recordTiming(crawlState.runStats, 'contributor', Date.now() - handlerStartedAt);
+			await persistCrawlState(crawlState);
 		}
 	},
 });
 
-// Start crawling
-await crawler.run(
-	input?.searches?.map((s) => ({
-		url: 'https://www.google.com/maps',
-		userData: {
-			label: 'SEARCH',
-			query: s.query + (s.location ? ` ${s.location}` : ''),
-		},
-	})) || []
-);
+// Start crawling: searches go through SEARCH, direct places straight to DETAIL,
+// contributor profiles to CONTRIBUTOR
+const startRequests = [
+	...searchRequests,
+	// Same unique key as search results, so a place that is also found by a search is scraped once
+	...directPlaces.places.map((place) => {
+		const placeKey = getPlaceKey(place.url);
+		return {
+			url: place.url,
+			uniqueKey: `place:${placeKey}`,
+			userData: {
+				label: 'DETAIL',
+				placeKey,
+				directInput: true,
+				placeId: place.placeId || null,
+				cid: place.cid || null,
+			},
+		};
+	}),
+	...contributorInput.contributors.map((contributor) => ({
+		url: contributor.url,
+		userData: { label: 'CONTRIBUTOR', contributorId: contributor.contributorId },
+	})),
+];
+// A resumed run keeps the start time of its first attempt
+crawlState.startedAt = crawlState.startedAt || new Date().toISOString();
+const summaryContext = { searches: input.searches, startedAt: new Date(crawlState.startedAt) };
+let runStats;
+try {
+	runStats = await crawler.run(startRequests);
+} catch (error) {
+	const summary = buildRunSummary(crawlState.runStats, { ...summaryContext, searchHits: crawlState.searchHits, error: error.message });
+	await Actor.setValue(RUN_SUMMARY_KEY, summary);
+	if (webhookConfig) {
+		await sendWebhooks(webhookConfig, WEBHOOK_EVENTS.RUN_FAILED, { summary });
+	}
+	throw error;
+}
+
+// Monitoring: places of the previous run not found again have disappeared, unless
+// requests failed and may have missed them
+if (snapshotStore) {
+	const complete = runStats.requestsFailed === 0;
+	if (!complete) {
+		console.log(`⚠️  ${runStats.requestsFailed} requests failed, not reporting disappeared places`);
+	}
+	const disappeared = await closeMonitoringRun(snapshotStore, Object.keys(crawlState.monitoredPlaces), { reportDisappeared: complete });
+	if (disappeared.length > 0) {
+		await changesDataset.pushData(disappeared);
+	}
+	console.log(`🔔 ${disappeared.length} places disappeared since the previous run`);
+}
+
+// Run summary: per-search counts, failures, CAPTCHAs, timings and field coverage
+const summary = buildRunSummary(crawlState.runStats, { ...summaryContext, searchHits: crawlState.searchHits, requests: runStats });
+await Actor.setValue(RUN_SUMMARY_KEY, summary);
+const lowCoverage = Object.entries(summary.fieldCoverage).filter(([_name, { rate }]) => rate !== null && rate < 0.5);
+console.log(`📋 Run summary: ${summary.places} places, ${Object.values(summary.failures).reduce((sum, count) => sum + count, 0)} failures, ${summary.captchas.encountered} CAPTCHAs`);
+if (lowCoverage.length > 0) {
+	console.log(`📋 Fields filled for less than half of the places: ${lowCoverage.map(([name, { rate }]) => `${name} (${Math.round(rate * 100)}%)`).join(', ')}`);
+}
+
+// Webhooks: the last, partial batch of places, then the run summary
+if (webhookConfig) {
+	await sendPlaceBatches(webhookConfig, crawlState.pendingWebhookPlaces, { flush: true });
+	if (crawlState.pendingWebhookPlaces.length > 0) {
+		console.log(`⚠️  ${crawlState.pendingWebhookPlaces.length} places could not be sent to the webhooks`);
+	}
+	await persistCrawlState(crawlState);
+	await sendWebhooks(webhookConfig, WEBHOOK_EVENTS.RUN_SUCCEEDED, { summary });
+}
 
 await Actor.exit();
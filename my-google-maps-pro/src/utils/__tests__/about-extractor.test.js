@@ -0,0 +1,60 @@
+import { describe, expect, it, jest } from '@jest/globals';
+
+const { parseAboutAttributes, extractAboutAttributes } = await import('../about-extractor.js');
+const { DEFAULT_SELECTOR_PACK } = await import('../selector-pack.js');
+
+/**
+ * Tests for About Tab Utility
+ *
+ * The About tab is mocked here. Its markup is only read in a browser by
+ * `npm run test:selectors`, which needs Chromium.
+ */
+describe('About Extractor', () => {
+	describe('parseAboutAttributes', () => {
+		it('should group attributes by section with their availability', () => {
+			expect(parseAboutAttributes([
+				{ section: 'Service options', labels: ['Serves dine-in', 'No delivery'], names: ['Dine-in', 'Delivery'] },
+				{ section: 'Payments', labels: ["Doesn't accept checks", 'Accepts credit cards'], names: ['Checks', 'Credit cards'] },
+			])).toEqual({
+				'Service options': { 'Dine-in': true, Delivery: false },
+				Payments: { Checks: false, 'Credit cards': true },
+			});
+		});
+
+		it('should fall back to labels when names do not line up', () => {
+			expect(parseAboutAttributes([
+				{ section: 'Crowd', labels: ['LGBTQ+ friendly', 'Family-friendly'], names: ['LGBTQ+ friendly'] },
+			])).toEqual({ Crowd: { 'LGBTQ+ friendly': true, 'Family-friendly': true } });
+		});
+
+		it('should return null when no section has attributes', () => {
+			expect(parseAboutAttributes([{ section: 'Amenities', labels: [], names: [] }, { section: null, labels: ['Has Wi-Fi'] }])).toBeNull();
+		});
+	});
+
+	describe('extractAboutAttributes', () => {
+		it('should open the About tab, read it and go back to the Overview tab', async () => {
+			const aboutTab = { click: jest.fn().mockResolvedValue() };
+			const overviewTab = { click: jest.fn().mockResolvedValue() };
+			const mockPage = {
+				$: jest.fn((selector) => Promise.resolve(selector === DEFAULT_SELECTOR_PACK.about.tab ? aboutTab : overviewTab)),
+				waitForSelector: jest.fn().mockResolvedValue(),
+				waitForTimeout: jest.fn().mockResolvedValue(),
+				evaluate: jest.fn().mockResolvedValue([{ section: 'Amenities', labels: ['Has Wi-Fi'], names: ['Wi-Fi'] }]),
+			};
+
+			const about = await extractAboutAttributes(mockPage);
+			expect(aboutTab.click).toHaveBeenCalled();
+			expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function), DEFAULT_SELECTOR_PACK.about);
+			expect(overviewTab.click).toHaveBeenCalled();
+			expect(about).toEqual({ Amenities: { 'Wi-Fi': true } });
+		});
+
+		it('should return null when the place has no About tab', async () => {
+			const mockPage = { $: jest.fn().mockResolvedValue(null), evaluate: jest.fn() };
+
+			expect(await extractAboutAttributes(mockPage)).toBeNull();
+			expect(mockPage.evaluate).not.toHaveBeenCalled();
+		});
+	});
+});
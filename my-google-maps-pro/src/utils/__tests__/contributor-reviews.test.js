@@ -0,0 +1,132 @@
+import { describe, expect, it, jest } from '@jest/globals';
+
+const {
+	buildContributorReviewsUrl,
+	extractContributorName,
+	flattenContributorReviews,
+	normalizeContributorInput,
+	normalizeContributorInputs,
+	scrollAndExtractContributorReviews,
+} = await import('../contributor-reviews.js');
+const { DEFAULT_SELECTOR_PACK } = await import('../selector-pack.js');
+
+const CONTRIBUTOR_ID = '104573968240937491221';
+
+const SIGHTGLASS_URL = 'https://www.google.com/maps/place/Sightglass+Coffee/data=!4m7!3m6!1s0x8085807f8b9a1a7b:0x3f5a1d6c2e4b8f90'
+	+ '!8m2!3d37.7769!4d-122.4088!16s%2Fg%2F1tdxbwq5!19sChIJexqai3-AhYARkI9LLmwdWj8?hl=en';
+
+/**
+ * Tests for Contributor Reviews Utility
+ */
+describe('Contributor Reviews', () => {
+	describe('normalizeContributorInput', () => {
+		it('should read the contributor ID from profile URLs', () => {
+			expect(normalizeContributorInput(`https://www.google.com/maps/contrib/${CONTRIBUTOR_ID}?hl=en`)).toEqual({
+				contributorId: CONTRIBUTOR_ID,
+				url: buildContributorReviewsUrl(CONTRIBUTOR_ID),
+			});
+			expect(normalizeContributorInput({ url: `https://www.google.de/maps/contrib/${CONTRIBUTOR_ID}/photos` }).contributorId)
+				.toBe(CONTRIBUTOR_ID);
+		});
+
+		it('should accept bare contributor IDs', () => {
+			expect(normalizeContributorInput(` ${CONTRIBUTOR_ID} `).url).toBe(
+				`https://www.google.com/maps/contrib/${CONTRIBUTOR_ID}/reviews?hl=en`
+			);
+		});
+
+		it('should reject other URLs', () => {
+			expect(() => normalizeContributorInput('https://www.google.com/maps/place/Sightglass+Coffee')).toThrow('Not a contributor profile');
+			expect(() => normalizeContributorInput(`https://example.com/maps/contrib/${CONTRIBUTOR_ID}`)).toThrow('Not a contributor profile');
+			expect(() => normalizeContributorInput('')).toThrow('Empty contributor reference');
+		});
+	});
+
+	describe('normalizeContributorInputs', () => {
+		it('should deduplicate contributors and report invalid entries', () => {
+			const { contributors, invalid } = normalizeContributorInputs([
+				CONTRIBUTOR_ID,
+				`https://www.google.com/maps/contrib/${CONTRIBUTOR_ID}/reviews`,
+				'Maya Chen',
+			]);
+			expect(contributors).toHaveLength(1);
+			expect(invalid).toEqual([{ value: 'Maya Chen', error: 'Not a contributor profile: Maya Chen' }]);
+		});
+	});
+
+	describe('extractContributorName', () => {
+		it('should read the name from the profile header', async () => {
+			const page = { evaluate: jest.fn().mockResolvedValue({ name: 'Maya Chen' }) };
+			expect(await extractContributorName(page)).toBe('Maya Chen');
+			expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), DEFAULT_SELECTOR_PACK.contributor);
+		});
+
+		it('should return null for packs without a contributor section', async () => {
+			const { contributor: _contributor, ...pack } = DEFAULT_SELECTOR_PACK;
+			expect(await extractContributorName({ evaluate: jest.fn() }, pack)).toBeNull();
+		});
+	});
+
+	describe('scrollAndExtractContributorReviews', () => {
+		it('should parse profile cards with the contributorReview section', async () => {
+			const page = {
+				evaluate: jest.fn((fn, arg) => {
+					if (fn.toString().includes('scrollBy') || fn.toString().includes('scrollHeight')) {
+						return Promise.resolve(false);
+					}
+					expect(arg).toBe(DEFAULT_SELECTOR_PACK.contributorReview);
+					return Promise.resolve([
+						{ reviewId: 'r1', placeTitle: 'Sightglass Coffee', placeUrl: SIGHTGLASS_URL, rating: 5, text: 'Great pour-over', date: '2 weeks ago' },
+						{ reviewId: 'r2', placeTitle: 'Mission Records', rating: 3, text: null, date: 'a year ago' },
+					]);
+				}),
+				waitForTimeout: jest.fn().mockResolvedValue(undefined),
+				$: jest.fn().mockResolvedValue(null),
+				$$: jest.fn().mockResolvedValue([]),
+			};
+
+			const reviews = await scrollAndExtractContributorReviews(page, { scrollDelay: 0, sort: 'newest', keyword: 'coffee' });
+			expect(reviews.map((review) => [review.reviewId, review.placeTitle])).toEqual([
+				['r1', 'Sightglass Coffee'],
+				['r2', 'Mission Records'],
+			]);
+			expect(reviews[0].dateRange).not.toBeNull();
+		});
+
+		it('should reject packs without a contributorReview section', async () => {
+			const { contributorReview: _contributorReview, ...pack } = DEFAULT_SELECTOR_PACK;
+			await expect(scrollAndExtractContributorReviews({}, { selectorPack: pack })).rejects.toThrow(
+				'Selector pack has no contributorReview section'
+			);
+		});
+	});
+
+	describe('flattenContributorReviews', () => {
+		it('should lead each row with the reviewed place and use the contributor as author', () => {
+			const rows = flattenContributorReviews(
+				{ contributorId: CONTRIBUTOR_ID, name: 'Maya Chen' },
+				[{ reviewId: 'r1', placeTitle: 'Sightglass Coffee', placeUrl: SIGHTGLASS_URL, placeAddress: '270 7th St', rating: 5, reviewerUrl: null, reviewerId: null }],
+				'2024-06-30T12:00:00.000Z'
+			);
+
+			expect(rows).toEqual([{
+				placeId: 'ChIJexqai3-AhYARkI9LLmwdWj8',
+				cid: BigInt('0x3f5a1d6c2e4b8f90').toString(),
+				placeTitle: 'Sightglass Coffee',
+				placeUrl: SIGHTGLASS_URL.split('?')[0],
+				placeAddress: '270 7th St',
+				reviewId: 'r1',
+				rating: 5,
+				author: 'Maya Chen',
+				reviewerUrl: `https://www.google.com/maps/contrib/${CONTRIBUTOR_ID}`,
+				reviewerId: CONTRIBUTOR_ID,
+				scrapedAt: '2024-06-30T12:00:00.000Z',
+			}]);
+		});
+
+		it('should leave place identifiers empty when the card has no place link', () => {
+			const [row] = flattenContributorReviews({ contributorId: CONTRIBUTOR_ID }, [{ reviewId: 'r2', placeTitle: 'Mission Records' }], '2024-06-30T12:00:00.000Z');
+			expect(row).toMatchObject({ placeId: null, cid: null, placeUrl: null, placeAddress: null, author: null });
+		});
+	});
+});
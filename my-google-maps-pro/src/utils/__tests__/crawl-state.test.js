@@ -0,0 +1,76 @@
+import { describe, expect, it, jest } from '@jest/globals';
+
+const mockUseState = jest.fn();
+const mockSetValue = jest.fn();
+
+jest.unstable_mockModule('apify', () => ({
+	Actor: {
+		useState: mockUseState,
+		setValue: mockSetValue,
+	},
+}));
+
+const {
+	CRAWL_STATE_KEY,
+	createCrawlState,
+	getUnwrittenReviewRows,
+	openCrawlState,
+	persistCrawlState,
+	recordWrittenReviewRows,
+	summarizeCrawlState,
+} = await import('../crawl-state.js');
+
+/**
+ * Tests for Crawl State Utility
+ */
+describe('Crawl State', () => {
+	describe('openCrawlState', () => {
+		it('should restore the persisted state, starting from an empty one', async () => {
+			const restored = { ...createCrawlState(), completedPlaces: { 'cid:1': '2024-06-30T12:00:00.000Z' } };
+			mockUseState.mockResolvedValue(restored);
+
+			expect(await openCrawlState()).toBe(restored);
+			expect(mockUseState).toHaveBeenCalledWith(CRAWL_STATE_KEY, createCrawlState());
+		});
+	});
+
+	describe('persistCrawlState', () => {
+		it('should save the state under its key', async () => {
+			const state = createCrawlState();
+			await persistCrawlState(state);
+			expect(mockSetValue).toHaveBeenCalledWith('CRAWL_STATE', state);
+		});
+	});
+
+	describe('summarizeCrawlState', () => {
+		it('should count finished searches, places and contributors', () => {
+			const state = {
+				...createCrawlState(),
+				searchResults: { 'search:coffee shops|': { places: [], searchViewport: null } },
+				completedPlaces: { 'cid:1': '2024-06-30T12:00:00.000Z', 'cid:2': '2024-06-30T12:01:00.000Z' },
+			};
+			expect(summarizeCrawlState(state)).toEqual({ searches: 1, places: 2, contributors: 0 });
+		});
+	});
+
+	describe('review rows', () => {
+		const rows = [
+			{ reviewId: 'r1', author: 'Maya Chen', text: 'Great pour-over' },
+			{ reviewId: null, author: 'Sam Ortiz', text: 'Cozy spot, slow wifi' },
+		];
+
+		it('should write every row the first time', () => {
+			expect(getUnwrittenReviewRows(rows, undefined)).toEqual(rows);
+		});
+
+		it('should leave out rows written by an earlier attempt', () => {
+			const written = recordWrittenReviewRows(undefined, rows.slice(0, 1));
+			expect(getUnwrittenReviewRows(rows, written)).toEqual(rows.slice(1));
+			expect(getUnwrittenReviewRows(rows, recordWrittenReviewRows(written, rows))).toEqual([]);
+		});
+
+		it('should record each row once', () => {
+			expect(recordWrittenReviewRows(['r1'], rows)).toEqual(['r1', 'Sam Ortiz-Cozy spot, slow wifi']);
+		});
+	});
+});
@@ -0,0 +1,142 @@
+import { describe, expect, it } from '@jest/globals';
+
+const {
+	MAX_TILES_PER_AREA,
+	distanceKm,
+	isPointInPolygon,
+	validateArea,
+	getAreaBoundingBox,
+	createAreaFilter,
+	createTiles,
+	createAreaSearchRequests,
+} = await import('../geo-grid.js');
+
+const SAN_FRANCISCO = { boundingBox: { north: 37.81, south: 37.70, east: -122.35, west: -122.52 } };
+
+// Triangle covering the south-east half of the San Francisco box, with a hole
+const TRIANGLE = {
+	geojson: {
+		type: 'Feature',
+		geometry: {
+			type: 'Polygon',
+			coordinates: [
+				[[-122.52, 37.70], [-122.35, 37.70], [-122.35, 37.81], [-122.52, 37.70]],
+				[[-122.40, 37.71], [-122.38, 37.71], [-122.38, 37.73], [-122.40, 37.71]],
+			],
+		},
+	},
+};
+
+/**
+ * Tests for Geographic Grid Utility
+ */
+describe('Geo Grid', () => {
+	describe('distanceKm', () => {
+		it('should calculate great-circle distances', () => {
+			// One degree of latitude is about 111 km
+			expect(distanceKm({ lat: 0, lng: 0 }, { lat: 1, lng: 0 })).toBeCloseTo(111.19, 1);
+			expect(distanceKm({ lat: 10, lng: 10 }, { lat: 10, lng: 10 })).toBe(0);
+		});
+	});
+
+	describe('isPointInPolygon', () => {
+		const [polygon] = [TRIANGLE.geojson.geometry.coordinates];
+
+		it('should detect points inside and outside the polygon', () => {
+			expect(isPointInPolygon({ lat: 37.72, lng: -122.36 }, polygon)).toBe(true);
+			expect(isPointInPolygon({ lat: 37.80, lng: -122.50 }, polygon)).toBe(false);
+		});
+
+		it('should exclude points inside holes', () => {
+			expect(isPointInPolygon({ lat: 37.715, lng: -122.385 }, polygon)).toBe(false);
+		});
+	});
+
+	describe('validateArea', () => {
+		it('should accept all supported area types', () => {
+			expect(() => validateArea(SAN_FRANCISCO)).not.toThrow();
+			expect(() => validateArea(TRIANGLE)).not.toThrow();
+			expect(() => validateArea({ center: { lat: 40.7, lng: -73.9 }, radiusKm: 2 })).not.toThrow();
+			expect(() => validateArea({ geojson: { type: 'MultiPolygon', coordinates: [TRIANGLE.geojson.geometry.coordinates] } })).not.toThrow();
+		});
+
+		it('should reject malformed areas', () => {
+			expect(() => validateArea({})).toThrow('set boundingBox, center with radiusKm, or geojson');
+			expect(() => validateArea({ boundingBox: { north: 1, south: 2, east: 1, west: 0 } })).toThrow('north must be greater than south');
+			expect(() => validateArea({ center: { lat: 0, lng: 0 }, radiusKm: 0 })).toThrow('radiusKm must be a positive number');
+			expect(() => validateArea({ geojson: { type: 'Point', coordinates: [0, 0] } })).toThrow('must be a Polygon');
+		});
+	});
+
+	describe('getAreaBoundingBox', () => {
+		it('should bound circles and polygons', () => {
+			const circle = getAreaBoundingBox({ center: { lat: 0, lng: 0 }, radiusKm: 111.19 });
+			expect(circle.north).toBeCloseTo(1, 2);
+			expect(circle.west).toBeCloseTo(-1, 2);
+
+			expect(getAreaBoundingBox(TRIANGLE)).toEqual(SAN_FRANCISCO.boundingBox);
+		});
+	});
+
+	describe('createAreaFilter', () => {
+		it('should filter by bounding box, radius and polygon', () => {
+			expect(createAreaFilter(SAN_FRANCISCO)({ lat: 37.77, lng: -122.42 })).toBe(true);
+			expect(createAreaFilter(SAN_FRANCISCO)({ lat: 37.87, lng: -122.27 })).toBe(false);
+
+			const circle = createAreaFilter({ center: { lat: 37.77, lng: -122.42 }, radiusKm: 1 });
+			expect(circle({ lat: 37.775, lng: -122.42 })).toBe(true);
+			expect(circle({ lat: 37.80, lng: -122.42 })).toBe(false);
+
+			expect(createAreaFilter(TRIANGLE)({ lat: 37.80, lng: -122.50 })).toBe(false);
+		});
+	});
+
+	describe('createTiles', () => {
+		it('should cover the area with more tiles at higher zoom', () => {
+			const tiles = createTiles(SAN_FRANCISCO, 14);
+			const finerTiles = createTiles(SAN_FRANCISCO, 15);
+
+			expect(tiles.length).toBeGreaterThan(1);
+			expect(finerTiles.length).toBeGreaterThan(tiles.length);
+			expect(tiles.every((tile) => tile.zoom === 14)).toBe(true);
+		});
+
+		it('should place tile centers over the whole bounding box', () => {
+			const tiles = createTiles(SAN_FRANCISCO, 15);
+			const lats = tiles.map((tile) => tile.lat);
+			const lngs = tiles.map((tile) => tile.lng);
+
+			expect(Math.min(...lats)).toBeLessThan(37.72);
+			expect(Math.max(...lats)).toBeGreaterThan(37.79);
+			expect(Math.min(...lngs)).toBeLessThan(-122.49);
+			expect(Math.max(...lngs)).toBeGreaterThan(-122.38);
+		});
+
+		it('should skip tiles that do not touch a polygon', () => {
+			expect(createTiles(TRIANGLE, 15).length).toBeLessThan(createTiles(SAN_FRANCISCO, 15).length);
+		});
+
+		it('should return a single tile for a small area', () => {
+			expect(createTiles({ center: { lat: 40.7, lng: -73.9 }, radiusKm: 0.1 }, 15)).toHaveLength(1);
+		});
+
+		it('should refuse areas that need too many tiles', () => {
+			expect(() => createTiles(SAN_FRANCISCO, 21)).toThrow(`more than ${MAX_TILES_PER_AREA} tiles`);
+		});
+	});
+
+	describe('createAreaSearchRequests', () => {
+		it('should create one centered SEARCH request per tile', () => {
+			const requests = createAreaSearchRequests({ query: 'coffee shops', zoom: 14, area: SAN_FRANCISCO }, 3);
+
+			expect(requests).toHaveLength(createTiles(SAN_FRANCISCO, 14).length);
+			expect(new Set(requests.map((request) => request.uniqueKey)).size).toBe(requests.length);
+			expect(requests[0].url).toMatch(/^https:\/\/www\.google\.com\/maps\/search\/coffee\+shops\/@[-\d.]+,[-\d.]+,14z\?hl=en$/);
+			expect(requests[0].userData).toMatchObject({ label: 'SEARCH', query: 'coffee shops', areaIndex: 3 });
+		});
+
+		it('should validate the area', () => {
+			expect(() => createAreaSearchRequests({ query: 'a', area: {} }, 0)).toThrow('Invalid area');
+		});
+	});
+});
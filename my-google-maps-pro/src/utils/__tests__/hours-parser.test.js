@@ -0,0 +1,179 @@
+import { describe, expect, it, jest } from '@jest/globals';
+
+const {
+	parseTimeOfDay,
+	parseDayHours,
+	parseOpenStatus,
+	parseOpeningHours,
+	extractOpeningHours,
+} = await import('../hours-parser.js');
+const { DEFAULT_SELECTOR_PACK } = await import('../selector-pack.js');
+
+/**
+ * Tests for Opening Hours Utility
+ *
+ * Hours and status texts are parsed as plain strings. The hours table
+ * selectors only run in a browser, in `npm run test:selectors`.
+ */
+describe('Hours Parser', () => {
+	describe('parseTimeOfDay', () => {
+		it('should convert 12h and 24h times', () => {
+			expect(parseTimeOfDay('7 AM')).toBe('07:00');
+			expect(parseTimeOfDay('7:30 PM')).toBe('19:30');
+			expect(parseTimeOfDay('12 PM')).toBe('12:00');
+			expect(parseTimeOfDay('12 AM')).toBe('00:00');
+			expect(parseTimeOfDay('9:15 p.m.')).toBe('21:15');
+			expect(parseTimeOfDay('19:00')).toBe('19:00');
+			expect(parseTimeOfDay('noon')).toBe('12:00');
+			expect(parseTimeOfDay('Midnight')).toBe('00:00');
+		});
+
+		it('should return null for anything else', () => {
+			expect(parseTimeOfDay('Closed')).toBeNull();
+			expect(parseTimeOfDay('13 PM')).toBeNull();
+			expect(parseTimeOfDay('')).toBeNull();
+		});
+	});
+
+	describe('parseDayHours', () => {
+		it('should parse a single interval', () => {
+			expect(parseDayHours('7 AM–7 PM')).toEqual({
+				intervals: [{ open: '07:00', close: '19:00', overnight: false }],
+				open24Hours: false,
+				closed: false,
+			});
+			expect(parseDayHours('7 AM to 7 PM').intervals).toEqual([{ open: '07:00', close: '19:00', overnight: false }]);
+		});
+
+		it('should parse split shifts and borrow AM/PM from the end time', () => {
+			expect(parseDayHours('11–2 PM, 5–10:30 PM').intervals).toEqual([
+				{ open: '11:00', close: '14:00', overnight: false },
+				{ open: '17:00', close: '22:30', overnight: false },
+			]);
+		});
+
+		it('should mark overnight spans and treat midnight as end of day', () => {
+			expect(parseDayHours('6 PM–2 AM').intervals).toEqual([{ open: '18:00', close: '02:00', overnight: true }]);
+			expect(parseDayHours('5 PM–12 AM').intervals).toEqual([{ open: '17:00', close: '24:00', overnight: false }]);
+		});
+
+		it('should recognize 24 hour and closed days', () => {
+			expect(parseDayHours('Open 24 hours')).toEqual({
+				intervals: [{ open: '00:00', close: '24:00', overnight: false }],
+				open24Hours: true,
+				closed: false,
+			});
+			expect(parseDayHours('Closed')).toEqual({ intervals: [], open24Hours: false, closed: true });
+		});
+
+		it('should skip unparseable text', () => {
+			expect(parseDayHours('Hours might differ').intervals).toEqual([]);
+		});
+	});
+
+	describe('parseOpenStatus', () => {
+		it('should read open status with the closing time', () => {
+			expect(parseOpenStatus('Open ⋅ Closes 7 PM')).toEqual({
+				text: 'Open ⋅ Closes 7 PM',
+				isOpen: true,
+				nextChange: { action: 'closes', time: '19:00', day: null },
+			});
+		});
+
+		it('should read closed status with the next opening day', () => {
+			expect(parseOpenStatus('Closed · Opens 7 AM Mon')).toMatchObject({
+				isOpen: false,
+				nextChange: { action: 'opens', time: '07:00', day: 'Mon' },
+			});
+		});
+
+		it('should read the time following "soon"', () => {
+			expect(parseOpenStatus('Closes soon · 7 PM')).toMatchObject({
+				isOpen: true,
+				nextChange: { action: 'closes', time: '19:00' },
+			});
+			expect(parseOpenStatus('Opens soon ⋅ 9 AM').isOpen).toBe(false);
+		});
+
+		it('should handle statuses without a next change', () => {
+			expect(parseOpenStatus('Open 24 hours')).toMatchObject({ isOpen: true, nextChange: null });
+			expect(parseOpenStatus('Permanently closed')).toMatchObject({ isOpen: false, nextChange: null });
+			expect(parseOpenStatus('Temporarily closed')).toMatchObject({ isOpen: false, nextChange: null });
+			expect(parseOpenStatus(null)).toBeNull();
+		});
+	});
+
+	describe('parseOpeningHours', () => {
+		it('should list days from Monday and keep special hours', () => {
+			const hours = parseOpeningHours({
+				rows: [
+					{ day: 'Thursday', holiday: '(Thanksgiving)', hours: '5–11 PM\nHours might differ', note: 'Hours might differ' },
+					{ day: 'Monday', holiday: null, hours: 'Closed', note: null },
+				],
+				status: 'Closed · Opens 5 PM Thu',
+				notice: 'Thanksgiving Day might affect\nthese hours',
+			});
+
+			expect(hours.days.map((day) => day.day)).toEqual(['Monday', 'Thursday']);
+			expect(hours.days[1]).toMatchObject({
+				hours: '5–11 PM',
+				intervals: [{ open: '17:00', close: '23:00', overnight: false }],
+				specialHours: { holiday: 'Thanksgiving', note: 'Hours might differ' },
+			});
+			expect(hours.specialHoursNotice).toBe('Thanksgiving Day might affect these hours');
+		});
+
+		it('should keep the page order for unknown day names', () => {
+			const hours = parseOpeningHours({
+				rows: [{ day: 'Dienstag', hours: '9–17' }, { day: 'Montag', hours: '9–17' }],
+			});
+			expect(hours.days.map((day) => day.day)).toEqual(['Dienstag', 'Montag']);
+		});
+
+		it('should return null when the page shows no hours', () => {
+			expect(parseOpeningHours({ rows: [] })).toBeNull();
+		});
+	});
+
+	describe('extractOpeningHours', () => {
+		it('should parse the hours table and status from the page', async () => {
+			const mockPage = {
+				evaluate: jest.fn()
+					.mockResolvedValueOnce([{ day: 'Monday', hours: '7 AM to 7 PM' }])
+					.mockResolvedValueOnce({ status: 'Open ⋅ Closes 7 PM', notice: null }),
+				$: jest.fn(),
+			};
+
+			const hours = await extractOpeningHours(mockPage);
+			expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function), DEFAULT_SELECTOR_PACK.hours);
+			expect(mockPage.$).not.toHaveBeenCalled();
+			expect(hours.days).toHaveLength(1);
+			expect(hours.status.isOpen).toBe(true);
+		});
+
+		it('should open the hours dropdown when the table is not rendered', async () => {
+			const toggle = { click: jest.fn().mockResolvedValue() };
+			const mockPage = {
+				evaluate: jest.fn()
+					.mockResolvedValueOnce([])
+					.mockResolvedValueOnce([{ day: 'Monday', hours: 'Closed' }])
+					.mockResolvedValueOnce({ status: null, notice: null }),
+				$: jest.fn().mockResolvedValue(toggle),
+				waitForTimeout: jest.fn().mockResolvedValue(),
+			};
+
+			const hours = await extractOpeningHours(mockPage);
+			expect(mockPage.$).toHaveBeenCalledWith(DEFAULT_SELECTOR_PACK.hours.expand);
+			expect(toggle.click).toHaveBeenCalled();
+			expect(hours.days[0].closed).toBe(true);
+		});
+
+		it('should return null for packs without hours sections', async () => {
+			const mockPage = { evaluate: jest.fn() };
+			const { hours: _hours, hoursStatus: _hoursStatus, ...pack } = DEFAULT_SELECTOR_PACK;
+
+			expect(await extractOpeningHours(mockPage, pack)).toBeNull();
+			expect(mockPage.evaluate).not.toHaveBeenCalled();
+		});
+	});
+});
@@ -0,0 +1,143 @@
+import { describe, expect, it } from '@jest/globals';
+
+const {
+	DATASET_SCHEMA,
+	cleanText,
+	normalizePhone,
+	parseRating,
+	parseReviewCount,
+	preparePlaceItem,
+	unwrapRedirectUrl,
+	validateValue,
+} = await import('../item-quality.js');
+
+const PLACE = {
+	title: 'Sightglass Coffee',
+	address: '270 7th St, San Francisco, CA 94103',
+	phone: '(415) 861-1313',
+	website: 'https://sightglasscoffee.com/',
+	rating: '4.6',
+	reviewCount: '(1,234)',
+	placeId: 'ChIJ0xWpPSF-j4ARkAqT3hkVwUs',
+	cid: '5458326549373602448',
+	category: 'Coffee shop',
+	categories: ['Coffee shop', 'Cafe'],
+	businessStatus: 'OPERATIONAL',
+	gps: { lat: 37.7766, lng: -122.4085 },
+	url: 'https://www.google.com/maps/place/Sightglass+Coffee',
+	scrapedAt: '2024-06-30T12:00:00.000Z',
+};
+
+/**
+ * Tests for Item Quality Utility
+ */
+describe('Item Quality', () => {
+	describe('parsers', () => {
+		it('should parse ratings in both decimal notations', () => {
+			expect(parseRating('4.6')).toBe(4.6);
+			expect(parseRating('4,6')).toBe(4.6);
+			expect(parseRating('Rated 4.6 out of 5,')).toBe(4.6);
+			expect(parseRating(4)).toBe(4);
+			expect(parseRating('')).toBeNull();
+			expect(parseRating(undefined)).toBeNull();
+			expect(parseRating('No reviews')).toBeUndefined();
+		});
+
+		it('should parse review counts with separators and suffixes', () => {
+			expect(parseReviewCount('(1,234)')).toBe(1234);
+			expect(parseReviewCount('1.234 Rezensionen')).toBe(1234);
+			expect(parseReviewCount('1 234 avis')).toBe(1234);
+			expect(parseReviewCount('2.1K reviews')).toBe(2100);
+			expect(parseReviewCount('(87)')).toBe(87);
+			expect(parseReviewCount(null)).toBeNull();
+			expect(parseReviewCount('reviews')).toBeUndefined();
+		});
+
+		it('should unwrap Google redirect links only', () => {
+			expect(unwrapRedirectUrl('https://www.google.com/url?q=https://sightglasscoffee.com/&sa=U')).toBe('https://sightglasscoffee.com/');
+			expect(unwrapRedirectUrl('/url?q=https%3A%2F%2Ftartinebakery.com%2F&opi=1')).toBe('https://tartinebakery.com/');
+			expect(unwrapRedirectUrl('https://example.com/url?q=https://other.com/')).toBe('https://example.com/url?q=https://other.com/');
+			expect(unwrapRedirectUrl(' sightglasscoffee.com ')).toBe('sightglasscoffee.com');
+			expect(unwrapRedirectUrl('')).toBeNull();
+		});
+
+		it('should clean phone numbers and keep their digits', () => {
+			expect(normalizePhone(' Phone: (415) 861-1313 ')).toEqual({ phone: '(415) 861-1313', phoneUnformatted: '4158611313' });
+			expect(normalizePhone('+44 20 7946 0958')).toEqual({ phone: '+44 20 7946 0958', phoneUnformatted: '+442079460958' });
+			expect(normalizePhone(null)).toEqual({ phone: null, phoneUnformatted: null });
+		});
+
+		it('should collapse whitespace and turn empty text into null', () => {
+			expect(cleanText('  Sightglass\n  Coffee ')).toBe('Sightglass Coffee');
+			expect(cleanText(' ')).toBeNull();
+			expect(cleanText(undefined)).toBeNull();
+		});
+	});
+
+	describe('validateValue', () => {
+		it('should report wrong types, nulls, ranges, enums and formats with their paths', () => {
+			expect(validateValue({
+				title: null,
+				rating: 7,
+				reviewCount: 12.5,
+				businessStatus: 'OPEN',
+				website: 'mailto:info@sightglasscoffee.com',
+				gps: { lat: '37.7', lng: -122.4 },
+				categories: ['Cafe', 3],
+			}, DATASET_SCHEMA)).toEqual([
+				{ field: 'title', code: 'MISSING', message: 'Expected string, got null' },
+				{ field: 'rating', code: 'OUT_OF_RANGE', message: '7 is outside 1..5' },
+				{ field: 'reviewCount', code: 'INVALID_TYPE', message: 'Expected integer or null, got number' },
+				{ field: 'businessStatus', code: 'INVALID_VALUE', message: '"OPEN" is not one of OPERATIONAL, CLOSED_TEMPORARILY, CLOSED_PERMANENTLY' },
+				{ field: 'website', code: 'INVALID_FORMAT', message: '"mailto:info@sightglasscoffee.com" is not a valid uri' },
+				{ field: 'gps.lat', code: 'INVALID_TYPE', message: 'Expected number, got string' },
+				{ field: 'categories[1]', code: 'INVALID_TYPE', message: 'Expected string, got integer' },
+			]);
+		});
+
+		it('should accept missing fields and fields the schema does not describe', () => {
+			expect(validateValue({ title: 'Sightglass Coffee', customField: { any: 'thing' } }, DATASET_SCHEMA)).toEqual([]);
+		});
+
+		it('should check patterns', () => {
+			expect(validateValue('12', { type: 'string', pattern: '^\\d{5}$' }, 'zip')).toEqual([
+				{ field: 'zip', code: 'INVALID_FORMAT', message: '"12" is not a valid value' },
+			]);
+		});
+	});
+
+	describe('preparePlaceItem', () => {
+		it('should normalize a clean place without issues', () => {
+			const item = preparePlaceItem({
+				...PLACE,
+				website: 'https://www.google.com/url?q=https://sightglasscoffee.com/&sa=U',
+				categories: ['Coffee shop', ' Coffee shop', 'Cafe'],
+			});
+
+			expect(item).toEqual({
+				...PLACE,
+				website: 'https://sightglasscoffee.com/',
+				rating: 4.6,
+				reviewCount: 1234,
+				phoneUnformatted: '4158611313',
+				qualityIssues: [],
+			});
+		});
+
+		it('should null unparseable values and list every issue', () => {
+			const item = preparePlaceItem({ ...PLACE, rating: 'No reviews', reviewCount: undefined, website: 'sightglasscoffee.com', phone: '' });
+
+			expect(item).toMatchObject({ rating: null, reviewCount: null, phone: null, phoneUnformatted: null });
+			expect(item.qualityIssues).toEqual([
+				{ field: 'rating', code: 'UNPARSEABLE', message: 'Could not read a number from "No reviews"' },
+				{ field: 'website', code: 'INVALID_FORMAT', message: '"sightglasscoffee.com" is not a valid uri' },
+			]);
+		});
+
+		it('should not change the scraped place', () => {
+			const place = { ...PLACE };
+			preparePlaceItem(place);
+			expect(place).toEqual(PLACE);
+		});
+	});
+});
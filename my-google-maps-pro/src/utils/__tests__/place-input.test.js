@@ -0,0 +1,148 @@
+import { describe, expect, it } from '@jest/globals';
+
+const { normalizePlaceInput, normalizePlaceInputs, buildPlaceIdUrl, buildCidUrl, getPlaceKey, parsePlaceCoordinates, parsePlaceIdentifiers } = await import('../place-input.js');
+
+/**
+ * Tests for Direct Place Input Utility
+ */
+describe('Place Input', () => {
+	describe('normalizePlaceInput', () => {
+		it('should strip session parameters from place URLs and open them in English', () => {
+			const place = normalizePlaceInput(
+				'https://www.google.com/maps/place/Sightglass+Coffee/@37.7769,-122.4088,17z/data=!3m1!4b1?authuser=0&hl=de&entry=ttu'
+			);
+			expect(place).toEqual({
+				url: 'https://www.google.com/maps/place/Sightglass+Coffee/@37.7769,-122.4088,17z/data=!3m1!4b1?hl=en',
+				type: 'url',
+			});
+		});
+
+		it('should accept { url } objects from the request list editor', () => {
+			const place = normalizePlaceInput({ url: 'https://www.google.de/maps/place/Tartine+Bakery/' });
+			expect(place.url).toBe('https://www.google.de/maps/place/Tartine+Bakery/?hl=en');
+		});
+
+		it('should convert place IDs to place URLs', () => {
+			const place = normalizePlaceInput('ChIJexqai3-AhYARkI9LLmwdWj8');
+			expect(place).toEqual({
+				url: buildPlaceIdUrl('ChIJexqai3-AhYARkI9LLmwdWj8'),
+				type: 'placeId',
+				placeId: 'ChIJexqai3-AhYARkI9LLmwdWj8',
+			});
+			expect(place.url).toBe('https://www.google.com/maps/place/?q=place_id:ChIJexqai3-AhYARkI9LLmwdWj8&hl=en');
+		});
+
+		it('should convert CIDs to CID URLs', () => {
+			expect(normalizePlaceInput('4565836474733256592')).toEqual({
+				url: buildCidUrl('4565836474733256592'),
+				type: 'cid',
+				cid: '4565836474733256592',
+			});
+			expect(normalizePlaceInput('https://maps.google.com/?cid=4565836474733256592&hl=en').cid).toBe(
+				'4565836474733256592'
+			);
+		});
+
+		it('should convert feature IDs to CIDs', () => {
+			const place = normalizePlaceInput('0x8085807f8b9a1a7b:0x3f5a1d6c2e4b8f90');
+			expect(place.cid).toBe(BigInt('0x3f5a1d6c2e4b8f90').toString());
+			expect(place.type).toBe('cid');
+		});
+
+		it('should read place IDs from Maps URLs API links', () => {
+			const place = normalizePlaceInput(
+				'https://www.google.com/maps/search/?api=1&query=Sightglass&query_place_id=ChIJexqai3-AhYARkI9LLmwdWj8'
+			);
+			expect(place.placeId).toBe('ChIJexqai3-AhYARkI9LLmwdWj8');
+			expect(place.url).toBe(buildPlaceIdUrl('ChIJexqai3-AhYARkI9LLmwdWj8'));
+		});
+
+		it('should keep short links for the browser to resolve', () => {
+			expect(normalizePlaceInput('https://maps.app.goo.gl/Xyz123AbC')).toEqual({
+				url: 'https://maps.app.goo.gl/Xyz123AbC',
+				type: 'shortLink',
+			});
+			expect(normalizePlaceInput('https://goo.gl/maps/Xyz123AbC').type).toBe('shortLink');
+		});
+
+		it('should reject non-Google and non-place URLs', () => {
+			expect(() => normalizePlaceInput('https://example.com/maps/place/Foo')).toThrow('Not a Google Maps URL');
+			expect(() => normalizePlaceInput('https://www.google.com/search?q=coffee')).toThrow(
+				'Not a Google Maps place URL'
+			);
+			expect(() => normalizePlaceInput('https://goo.gl/abc')).toThrow('Unsupported short link');
+		});
+
+		it('should reject unrecognized and empty references', () => {
+			expect(() => normalizePlaceInput('coffee shop')).toThrow('Unrecognized place reference');
+			expect(() => normalizePlaceInput('  ')).toThrow('Empty place reference');
+			expect(() => normalizePlaceInput(null)).toThrow('Empty place reference');
+		});
+	});
+
+	describe('normalizePlaceInputs', () => {
+		it('should merge URLs and IDs, deduplicate and report invalid entries', () => {
+			const { places, invalid } = normalizePlaceInputs(
+				[{ url: 'https://maps.google.com/?cid=4565836474733256592' }, 'not a place'],
+				['4565836474733256592', 'ChIJexqai3-AhYARkI9LLmwdWj8']
+			);
+
+			expect(places).toHaveLength(2);
+			expect(places.map((p) => p.type)).toEqual(['cid', 'placeId']);
+			expect(invalid).toEqual([{ value: 'not a place', error: 'Unrecognized place reference: not a place' }]);
+		});
+
+		it('should handle missing input', () => {
+			expect(normalizePlaceInputs(undefined, undefined)).toEqual({ places: [], invalid: [] });
+		});
+	});
+
+	describe('parsePlaceIdentifiers', () => {
+		it('should read the feature ID, CID and place ID of a place URL', () => {
+			expect(parsePlaceIdentifiers(
+				'https://www.google.com/maps/place/Sightglass/data=!3m6!1s0x8085807f8b9a1a7b:0x3f5a1d6c2e4b8f90!8m2!16s%2Fg%2F1tdxbwq5!19sChIJexqai3-AhYARkI9LLmwdWj8?entry=ttu'
+			)).toEqual({
+				featureId: '0x8085807f8b9a1a7b:0x3f5a1d6c2e4b8f90',
+				cid: '4564993522763796368',
+				placeId: 'ChIJexqai3-AhYARkI9LLmwdWj8',
+			});
+		});
+
+		it('should read CID and place ID links', () => {
+			expect(parsePlaceIdentifiers(buildCidUrl('123456'))).toEqual({ featureId: null, cid: '123456', placeId: null });
+			expect(parsePlaceIdentifiers(buildPlaceIdUrl('ChIJexqai3-AhYARkI9LLmwdWj8')).placeId).toBe('ChIJexqai3-AhYARkI9LLmwdWj8');
+			expect(parsePlaceIdentifiers('https://www.google.com/maps/place/Foo')).toEqual({ featureId: null, cid: null, placeId: null });
+		});
+	});
+
+	describe('parsePlaceCoordinates', () => {
+		it('should read the coordinates of search result links', () => {
+			expect(parsePlaceCoordinates(
+				'https://www.google.com/maps/place/Sightglass+Coffee/data=!4m7!3m6!1s0x8085807f8b9a1a7b:0x3f5a1d6c2e4b8f90!8m2!3d37.7769!4d-122.4088!16s%2Fg%2F1tdxbwq5?authuser=0&hl=en&rclk=1'
+			)).toEqual({ lat: 37.7769, lng: -122.4088 });
+			expect(parsePlaceCoordinates(buildCidUrl('123456'))).toBeNull();
+		});
+	});
+
+	describe('getPlaceKey', () => {
+		it('should use the CID of the feature ID regardless of query parameters', () => {
+			const a = getPlaceKey('https://www.google.com/maps/place/Sightglass/data=!4m7!3m6!1s0x8085807f8b9a1a7b:0x3f5a1d6c2e4b8f90!8m2?authuser=0');
+			const b = getPlaceKey('https://www.google.com/maps/place/Sightglass/data=!4m7!3m6!1s0x8085807F8B9A1A7B%3A0x3f5a1d6c2e4b8f90!8m2?rclk=1');
+			expect(a).toBe('cid:4564993522763796368');
+			expect(b).toBe(a);
+		});
+
+		it('should give search results, CID links and feature ID inputs of a place the same key', () => {
+			const searchResultKey = getPlaceKey('https://www.google.com/maps/place/Sightglass/data=!4m7!3m6!1s0x8085807f8b9a1a7b:0x3f5a1d6c2e4b8f90!8m2');
+			expect(getPlaceKey(normalizePlaceInput('https://maps.google.com/?cid=4564993522763796368').url)).toBe(searchResultKey);
+			expect(getPlaceKey(normalizePlaceInput('0x8085807f8b9a1a7b:0x3f5a1d6c2e4b8f90').url)).toBe(searchResultKey);
+			expect(getPlaceKey(normalizePlaceInput('4564993522763796368').url)).toBe(searchResultKey);
+		});
+
+		it('should fall back to the place ID or URL without query', () => {
+			expect(getPlaceKey('https://maps.google.com/?cid=123456')).toBe('cid:123456');
+			expect(getPlaceKey(buildPlaceIdUrl('ChIJexqai3-AhYARkI9LLmwdWj8'))).toBe('place_id:ChIJexqai3-AhYARkI9LLmwdWj8');
+			expect(getPlaceKey('https://www.google.com/maps/place/Foo?hl=en')).toBe('https://www.google.com/maps/place/Foo');
+		});
+	});
+});
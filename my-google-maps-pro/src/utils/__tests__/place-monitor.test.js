@@ -0,0 +1,213 @@
+import { describe, expect, it, jest } from '@jest/globals';
+
+const mockOpenKeyValueStore = jest.fn();
+const mockOpenDataset = jest.fn();
+
+jest.unstable_mockModule('apify', () => ({
+	Actor: {
+		openKeyValueStore: mockOpenKeyValueStore,
+		openDataset: mockOpenDataset,
+	},
+}));
+
+const {
+	CHANGE_TYPES,
+	DEFAULT_CHANGES_DATASET_NAME,
+	DEFAULT_SNAPSHOT_STORE_NAME,
+	SNAPSHOT_INDEX_KEY,
+	closeMonitoringRun,
+	createPlaceSnapshot,
+	diffPlaceSnapshots,
+	getSnapshotKey,
+	openChangesDataset,
+	openSnapshotStore,
+} = await import('../place-monitor.js');
+
+const PLACE = {
+	placeId: 'ChIJexqai3-AhYARkI9LLmwdWj8',
+	cid: '4564993522763796368',
+	title: 'Sightglass Coffee',
+	url: 'https://www.google.com/maps/place/Sightglass+Coffee',
+	rating: 4.5,
+	reviewCount: 1824,
+	phone: '(415) 861-1313',
+	website: 'https://sightglasscoffee.com/',
+	address: '270 7th St, San Francisco, CA 94103',
+	businessStatus: 'OPERATIONAL',
+	openingHours: {
+		days: [{ day: 'Monday', hours: '7 AM–5 PM' }, { day: 'Tuesday', hours: '7 AM–5 PM' }],
+		status: null,
+		specialHoursNotice: null,
+	},
+	scrapedAt: '2024-06-30T12:00:00.000Z',
+};
+
+/**
+ * Creates an in-memory key-value store
+ */
+function createStore(records = {}) {
+	const data = { ...records };
+	return {
+		data,
+		getValue: jest.fn(async (key) => data[key] ?? null),
+		setValue: jest.fn(async (key, value) => {
+			if (value === null) {
+				delete data[key];
+			} else {
+				data[key] = value;
+			}
+		}),
+	};
+}
+
+/**
+ * Tests for Place Monitor Utility
+ */
+describe('Place Monitor', () => {
+	describe('storages', () => {
+		it('should open the named snapshot store and changes dataset', async () => {
+			mockOpenKeyValueStore.mockResolvedValue({});
+			mockOpenDataset.mockResolvedValue({});
+			await openSnapshotStore();
+			await openChangesDataset('my-changes');
+			expect(mockOpenKeyValueStore).toHaveBeenCalledWith(DEFAULT_SNAPSHOT_STORE_NAME);
+			expect(mockOpenDataset).toHaveBeenCalledWith('my-changes');
+			expect(DEFAULT_CHANGES_DATASET_NAME).toBe('google-maps-place-changes');
+		});
+	});
+
+	describe('getSnapshotKey', () => {
+		it('should key snapshots like review watermarks', () => {
+			expect(getSnapshotKey(PLACE)).toBe('cid-4564993522763796368');
+		});
+	});
+
+	describe('createPlaceSnapshot', () => {
+		it('should keep the monitored fields and the weekly hours', () => {
+			expect(createPlaceSnapshot(PLACE)).toEqual({
+				placeId: PLACE.placeId,
+				cid: PLACE.cid,
+				title: 'Sightglass Coffee',
+				url: PLACE.url,
+				rating: 4.5,
+				reviewCount: 1824,
+				phone: '(415) 861-1313',
+				website: 'https://sightglasscoffee.com/',
+				address: '270 7th St, San Francisco, CA 94103',
+				hours: ['Monday: 7 AM–5 PM', 'Tuesday: 7 AM–5 PM'],
+				businessStatus: 'OPERATIONAL',
+				seenAt: '2024-06-30T12:00:00.000Z',
+			});
+		});
+
+		it('should use null for missing fields', () => {
+			const snapshot = createPlaceSnapshot({ url: PLACE.url, scrapedAt: PLACE.scrapedAt });
+			expect(snapshot).toMatchObject({ rating: null, phone: null, hours: null, businessStatus: null });
+		});
+	});
+
+	describe('diffPlaceSnapshots', () => {
+		const previous = createPlaceSnapshot({ ...PLACE, scrapedAt: '2024-06-29T12:00:00.000Z' });
+
+		it('should report places without a snapshot as new', () => {
+			expect(diffPlaceSnapshots(null, createPlaceSnapshot(PLACE))).toEqual([{
+				changeType: CHANGE_TYPES.NEW_PLACE,
+				placeId: PLACE.placeId,
+				cid: PLACE.cid,
+				title: 'Sightglass Coffee',
+				url: PLACE.url,
+				field: null,
+				previousValue: null,
+				currentValue: null,
+				delta: null,
+				previousSeenAt: null,
+				detectedAt: '2024-06-30T12:00:00.000Z',
+			}]);
+		});
+
+		it('should report nothing for unchanged places', () => {
+			expect(diffPlaceSnapshots(previous, createPlaceSnapshot(PLACE))).toEqual([]);
+		});
+
+		it('should report rating and review count deltas', () => {
+			const changes = diffPlaceSnapshots(previous, createPlaceSnapshot({ ...PLACE, rating: 4.4, reviewCount: 1831 }));
+			expect(changes.map(({ changeType, field, delta }) => [changeType, field, delta])).toEqual([
+				['RATING_CHANGED', 'rating', -0.1],
+				['REVIEW_COUNT_CHANGED', 'reviewCount', 7],
+			]);
+			expect(changes[0].previousSeenAt).toBe('2024-06-29T12:00:00.000Z');
+		});
+
+		it('should report contact, address and hours changes', () => {
+			const current = createPlaceSnapshot({
+				...PLACE,
+				phone: '(415) 861-0000',
+				website: null,
+				address: '301 Divisadero St, San Francisco, CA 94117',
+				openingHours: { days: [{ day: 'Monday', hours: 'Closed' }, { day: 'Tuesday', hours: '7 AM–5 PM' }] },
+			});
+			const changes = diffPlaceSnapshots(previous, current);
+			expect(changes.map((change) => change.changeType)).toEqual([
+				'PHONE_CHANGED',
+				'WEBSITE_CHANGED',
+				'ADDRESS_CHANGED',
+				'HOURS_CHANGED',
+			]);
+			expect(changes[1]).toMatchObject({ previousValue: 'https://sightglasscoffee.com/', currentValue: null, delta: null });
+			expect(changes[3].currentValue).toEqual(['Monday: Closed', 'Tuesday: 7 AM–5 PM']);
+		});
+
+		it('should report places that became permanently closed once', () => {
+			const closed = createPlaceSnapshot({ ...PLACE, businessStatus: 'CLOSED_PERMANENTLY' });
+			expect(diffPlaceSnapshots(previous, closed)).toEqual([
+				expect.objectContaining({
+					changeType: 'PERMANENTLY_CLOSED',
+					field: 'businessStatus',
+					previousValue: 'OPERATIONAL',
+					currentValue: 'CLOSED_PERMANENTLY',
+				}),
+			]);
+			expect(diffPlaceSnapshots(closed, closed)).toEqual([]);
+		});
+	});
+
+	describe('closeMonitoringRun', () => {
+		const now = new Date('2024-06-30T13:00:00.000Z');
+		const tartine = { ...createPlaceSnapshot(PLACE), cid: '1', title: 'Tartine Bakery' };
+
+		it('should report places of the previous run not found again and drop their snapshots', async () => {
+			const store = createStore({
+				[SNAPSHOT_INDEX_KEY]: { placeKeys: ['cid-4564993522763796368', 'cid-1'] },
+				'cid-1': tartine,
+			});
+
+			const changes = await closeMonitoringRun(store, ['cid-4564993522763796368', 'cid-2'], { now });
+			expect(changes).toEqual([expect.objectContaining({
+				changeType: 'DISAPPEARED',
+				cid: '1',
+				title: 'Tartine Bakery',
+				previousSeenAt: PLACE.scrapedAt,
+				detectedAt: now.toISOString(),
+			})]);
+			expect(store.data['cid-1']).toBeUndefined();
+			expect(store.data[SNAPSHOT_INDEX_KEY]).toEqual({
+				placeKeys: ['cid-4564993522763796368', 'cid-2'],
+				updatedAt: now.toISOString(),
+			});
+		});
+
+		it('should report nothing on the first run', async () => {
+			const store = createStore();
+			expect(await closeMonitoringRun(store, ['cid-1'], { now })).toEqual([]);
+			expect(store.data[SNAPSHOT_INDEX_KEY].placeKeys).toEqual(['cid-1']);
+		});
+
+		it('should keep places not found when disappearances are not reported', async () => {
+			const store = createStore({ [SNAPSHOT_INDEX_KEY]: { placeKeys: ['cid-1'] }, 'cid-1': tartine });
+
+			expect(await closeMonitoringRun(store, ['cid-2'], { now, reportDisappeared: false })).toEqual([]);
+			expect(store.data['cid-1']).toBe(tartine);
+			expect(store.data[SNAPSHOT_INDEX_KEY].placeKeys).toEqual(['cid-2', 'cid-1']);
+		});
+	});
+});
@@ -0,0 +1,106 @@
+import { describe, expect, it, jest } from '@jest/globals';
+
+const { extractSearchResults, extractPlaceDetails, parseBusinessStatus, BUSINESS_STATUS } = await import('../place-parser.js');
+const { DEFAULT_SELECTOR_PACK, resolveSelectorPack } = await import('../selector-pack.js');
+
+/**
+ * Tests for Place Parsing Utility
+ *
+ * page.evaluate is mocked, so the selectors themselves are not run here; the
+ * selector regression suite runs them against its synthetic fixtures when
+ * Chromium is installed.
+ */
+describe('Place Parser', () => {
+	describe('extractSearchResults', () => {
+		it('should read place links from the results feed', async () => {
+			const mockPage = {
+				evaluate: jest.fn().mockResolvedValue([
+					{ title: 'Sightglass Coffee', url: 'https://www.google.com/maps/place/Sightglass+Coffee/data=!4m7' },
+				]),
+			};
+
+			const places = await extractSearchResults(mockPage);
+			expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function), DEFAULT_SELECTOR_PACK.search);
+			expect(places).toHaveLength(1);
+			expect(places[0].title).toBe('Sightglass Coffee');
+		});
+
+		it('should drop links that are not place pages and name untitled places', async () => {
+			const mockPage = {
+				evaluate: jest.fn().mockResolvedValue([
+					{ title: null, url: 'https://www.google.com/maps/place/Untitled/data=!4m7' },
+					{ title: 'Search this area', url: 'https://www.google.com/maps/search/coffee' },
+					{ title: 'No link', url: null },
+				]),
+			};
+
+			const places = await extractSearchResults(mockPage);
+			expect(places).toEqual([{ title: 'Unknown Place', url: 'https://www.google.com/maps/place/Untitled/data=!4m7' }]);
+		});
+	});
+
+	describe('extractPlaceDetails', () => {
+		it('should return place fields and GPS coordinates from the URL', async () => {
+			const mockPage = {
+				evaluate: jest.fn().mockResolvedValue({
+					title: 'Sightglass Coffee',
+					address: '270 7th St, San Francisco, CA 94103',
+					phone: '(415) 861-1313',
+					website: 'https://sightglasscoffee.com/',
+					rating: '4.6',
+					reviewCount: '(2,184)',
+				}),
+				url: () => 'https://www.google.com/maps/place/Sightglass+Coffee/data=!3m1!8m2!3d37.7769!4d-122.4088!16s',
+			};
+
+			const place = await extractPlaceDetails(mockPage);
+			expect(place.title).toBe('Sightglass Coffee');
+			expect(place.gps).toEqual({ lat: 37.7769, lng: -122.4088 });
+		});
+
+		it('should read identifiers from the URL and classify the place', async () => {
+			const mockPage = {
+				evaluate: jest.fn().mockResolvedValue({
+					title: 'Sightglass Coffee',
+					placeId: null,
+					categories: ['Coffee shop', 'Cafe'],
+					priceLevel: '$$',
+					closedNotice: 'Temporarily closed',
+				}),
+				url: () => 'https://www.google.com/maps/place/Sightglass/data=!3m6!1s0x8085807f8b9a1a7b:0x3f5a1d6c2e4b8f90!8m2!3d37.7769!4d-122.4088!16s%2Fg%2F1tdxbwq5!19sChIJexqai3-AhYARkI9LLmwdWj8',
+			};
+
+			const place = await extractPlaceDetails(mockPage);
+			expect(place).toMatchObject({
+				placeId: 'ChIJexqai3-AhYARkI9LLmwdWj8',
+				cid: '4564993522763796368',
+				category: 'Coffee shop',
+				categories: ['Coffee shop', 'Cafe'],
+				priceLevel: '$$',
+				businessStatus: BUSINESS_STATUS.CLOSED_TEMPORARILY,
+			});
+			expect(place).not.toHaveProperty('closedNotice');
+		});
+
+		it('should parse with the given selector pack', async () => {
+			const pack = resolveSelectorPack({ place: { fields: { phone: { selectors: ['div.phone'] } } } });
+			const mockPage = {
+				evaluate: jest.fn().mockResolvedValue({ title: 'Place' }),
+				url: () => 'https://www.google.com/maps/place/Place',
+			};
+
+			const place = await extractPlaceDetails(mockPage, pack);
+			expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function), pack.place);
+			expect(place.gps).toBeNull();
+			expect(place).toMatchObject({ placeId: null, cid: null, category: null, categories: [] });
+		});
+	});
+
+	describe('parseBusinessStatus', () => {
+		it('should map closure notices to business statuses', () => {
+			expect(parseBusinessStatus('Permanently closed')).toBe('CLOSED_PERMANENTLY');
+			expect(parseBusinessStatus('Temporarily closed')).toBe('CLOSED_TEMPORARILY');
+			expect(parseBusinessStatus(null)).toBe('OPERATIONAL');
+		});
+	});
+});
@@ -0,0 +1,100 @@
+import { describe, expect, it, jest } from '@jest/globals';
+
+const { parseBusynessLabel, parsePopularTimes, extractPopularTimes } = await import('../popular-times.js');
+const { DEFAULT_SELECTOR_PACK } = await import('../selector-pack.js');
+
+/**
+ * Tests for Popular Times Utility
+ *
+ * Bar labels are parsed from strings and the page is mocked; the chart markup
+ * is exercised in a browser only by `npm run test:selectors`.
+ */
+describe('Popular Times', () => {
+	describe('parseBusynessLabel', () => {
+		it('should read the hour and busyness of a bar', () => {
+			expect(parseBusynessLabel('25% busy at 6 AM.')).toEqual({ hour: 6, occupancyPercent: 25 });
+			expect(parseBusynessLabel('0% busy at 12 AM.')).toEqual({ hour: 0, occupancyPercent: 0 });
+			expect(parseBusynessLabel('61% busy at 1 PM.')).toEqual({ hour: 13, occupancyPercent: 61 });
+		});
+
+		it('should read the live bar', () => {
+			expect(parseBusynessLabel('Currently 72% busy, usually 55% busy.')).toEqual({
+				hour: null,
+				occupancyPercent: 55,
+				liveOccupancyPercent: 72,
+			});
+		});
+
+		it('should return null for other labels', () => {
+			expect(parseBusynessLabel('Popular times at Sightglass Coffee')).toBeNull();
+			expect(parseBusynessLabel(null)).toBeNull();
+		});
+	});
+
+	describe('parsePopularTimes', () => {
+		it('should build the histogram Monday first and place the live bar', () => {
+			const popularTimes = parsePopularTimes({
+				rows: [
+					{ dayIndex: 0, bars: ['30% busy at 8 AM.', '52% busy at 9 AM.'] },
+					{ dayIndex: 3, bars: ['61% busy at 12 PM.', 'Currently 72% busy, usually 66% busy.', '55% busy at 2 PM.'] },
+				],
+				liveStatus: 'Live\nBusier than usual',
+				visitDuration: 'People typically spend 15 min to 1 hr here',
+			});
+
+			expect(popularTimes.histogram.map((day) => day.day)).toEqual(['Wednesday', 'Sunday']);
+			expect(popularTimes.histogram[0].hours).toEqual([
+				{ hour: 12, occupancyPercent: 61 },
+				{ hour: 13, occupancyPercent: 66 },
+				{ hour: 14, occupancyPercent: 55 },
+			]);
+			expect(popularTimes.live).toEqual({
+				day: 'Wednesday',
+				hour: 13,
+				occupancyPercent: 72,
+				usualOccupancyPercent: 66,
+				text: 'Busier than usual',
+			});
+			expect(popularTimes.visitDuration).toBe('People typically spend 15 min to 1 hr here');
+		});
+
+		it('should place a live bar at the start of the day before its right neighbour', () => {
+			const popularTimes = parsePopularTimes({
+				rows: [{ dayIndex: 1, bars: ['Currently 10% busy.', '20% busy at 7 AM.'] }],
+			});
+			expect(popularTimes.live).toMatchObject({ day: 'Monday', hour: 6, occupancyPercent: 10, usualOccupancyPercent: null });
+			expect(popularTimes.histogram[0].hours).toEqual([{ hour: 7, occupancyPercent: 20 }]);
+		});
+
+		it('should return null for places without popular times', () => {
+			expect(parsePopularTimes({ rows: [] })).toBeNull();
+			expect(parsePopularTimes({ rows: [{ dayIndex: 2, bars: [] }] })).toBeNull();
+		});
+	});
+
+	describe('extractPopularTimes', () => {
+		it('should scroll the panel when the histogram is not rendered yet', async () => {
+			const mockPage = {
+				evaluate: jest.fn()
+					.mockResolvedValueOnce([])
+					.mockResolvedValueOnce(undefined)
+					.mockResolvedValueOnce([{ dayIndex: 1, bars: ['20% busy at 7 AM.'] }])
+					.mockResolvedValueOnce({ liveStatus: null, visitDuration: null }),
+				waitForTimeout: jest.fn().mockResolvedValue(),
+			};
+
+			const popularTimes = await extractPopularTimes(mockPage);
+			expect(mockPage.evaluate).toHaveBeenNthCalledWith(2, expect.any(Function), DEFAULT_SELECTOR_PACK.popularTimes.scrollContainer);
+			expect(popularTimes.histogram).toEqual([{ day: 'Monday', hours: [{ hour: 7, occupancyPercent: 20 }] }]);
+			expect(popularTimes.live).toBeNull();
+		});
+
+		it('should return null for packs without popular times sections', async () => {
+			const mockPage = { evaluate: jest.fn() };
+			const { popularTimes: _popularTimes, ...pack } = DEFAULT_SELECTOR_PACK;
+
+			expect(await extractPopularTimes(mockPage, pack)).toBeNull();
+			expect(mockPage.evaluate).not.toHaveBeenCalled();
+		});
+	});
+});
@@ -0,0 +1,197 @@
+import { describe, expect, it } from '@jest/globals';
+
+const {
+	DEFAULT_LEXICON,
+	addReviewSentiment,
+	analyzeReviews,
+	scoreSentiment,
+	tokenize,
+} = await import('../review-analytics.js');
+
+/**
+ * Builds a review posted and optionally answered the given number of days before June 30, 2024
+ */
+function review(rating, text, daysAgo, responseDaysAgo) {
+	const range = (days) => ({
+		from: new Date(Date.UTC(2024, 5, 30) - (days + 1) * 86400000).toISOString(),
+		to: new Date(Date.UTC(2024, 5, 30) - days * 86400000).toISOString(),
+	});
+	return {
+		author: 'Reviewer',
+		rating,
+		text,
+		translatedText: null,
+		dateRange: range(daysAgo),
+		response: responseDaysAgo === undefined ? null : { owner: 'Owner', text: 'Thanks', dateRange: range(responseDaysAgo) },
+	};
+}
+
+/**
+ * Tests for Review Analytics Utility
+ */
+describe('Review Analytics', () => {
+	describe('DEFAULT_LEXICON', () => {
+		it('should load the bundled lexicon', () => {
+			expect(DEFAULT_LEXICON.language).toBe('en');
+			expect(DEFAULT_LEXICON.words.great).toBeGreaterThan(0);
+			expect(DEFAULT_LEXICON.words.rude).toBeLessThan(0);
+			expect(DEFAULT_LEXICON.negators).toContain('not');
+		});
+	});
+
+	describe('tokenize', () => {
+		it('should lowercase words and keep contractions together', () => {
+			expect(tokenize('Didn’t LOVE the Café, 10/10!')).toEqual(["didn't", 'love', 'the', 'café', '10', '10']);
+		});
+
+		it('should return an empty list for missing text', () => {
+			expect(tokenize(null)).toEqual([]);
+		});
+	});
+
+	describe('scoreSentiment', () => {
+		it('should score positive text', () => {
+			const sentiment = scoreSentiment('Great coffee and friendly staff');
+			expect(sentiment.label).toBe('positive');
+			expect(sentiment.score).toBeGreaterThan(0.5);
+			expect(sentiment.positiveWords).toEqual(['great', 'friendly']);
+		});
+
+		it('should score negative text', () => {
+			const sentiment = scoreSentiment('The food was cold and the waiter was rude');
+			expect(sentiment.label).toBe('negative');
+			expect(sentiment.negativeWords).toEqual(['cold', 'rude']);
+		});
+
+		it('should flip negated words', () => {
+			expect(scoreSentiment('The coffee was not good').label).toBe('negative');
+			expect(scoreSentiment("It wasn't bad at all").label).toBe('positive');
+		});
+
+		it('should weigh intensified words higher', () => {
+			expect(scoreSentiment('very good').score).toBeGreaterThan(scoreSentiment('good').score);
+		});
+
+		it('should keep scores between -1 and 1', () => {
+			const { score } = scoreSentiment('amazing '.repeat(50));
+			expect(score).toBeLessThanOrEqual(1);
+			expect(score).toBeGreaterThan(0.99);
+		});
+
+		it('should label text without sentiment words neutral', () => {
+			expect(scoreSentiment('We went there on Tuesday')).toEqual({
+				score: 0,
+				label: 'neutral',
+				positiveWords: [],
+				negativeWords: [],
+			});
+		});
+
+		it('should ignore words named like Object.prototype members', () => {
+			expect(scoreSentiment('The constructor next door is loud').score).not.toBeNaN();
+			expect(scoreSentiment('constructor great toString hasOwnProperty').label).toBe('positive');
+		});
+
+		it('should use a custom lexicon', () => {
+			const lexicon = { words: { lecker: 2 }, negators: ['nicht'], intensifiers: {} };
+			expect(scoreSentiment('Sehr lecker', lexicon).label).toBe('positive');
+			expect(scoreSentiment('Nicht lecker', lexicon).label).toBe('negative');
+		});
+	});
+
+	describe('addReviewSentiment', () => {
+		it('should add the score and label to a copy of the review', () => {
+			const original = review(5, 'Excellent pastries', 3);
+			const scored = addReviewSentiment(original);
+			expect(scored.sentiment).toEqual({ score: expect.any(Number), label: 'positive' });
+			expect(original.sentiment).toBeUndefined();
+		});
+
+		it('should score the translation of reviews in other languages', () => {
+			const scored = addReviewSentiment({
+				text: 'Der Kaffee war kalt',
+				originalText: 'Der Kaffee war kalt',
+				translatedText: 'The coffee was cold',
+			});
+			expect(scored.sentiment.label).toBe('negative');
+		});
+	});
+
+	describe('analyzeReviews', () => {
+		const reviews = [
+			review(5, 'Great coffee, friendly baristas', 10, 8),
+			review(4, 'Good coffee, nice terrace', 40, 39),
+			review(1, 'Rude staff and cold coffee', 70, 60),
+			review(2, 'Overpriced and slow service', 100),
+		];
+
+		it('should compute the owner response rate and median lag', () => {
+			const analytics = analyzeReviews(reviews);
+			expect(analytics.reviewCount).toBe(4);
+			expect(analytics.responseRate).toBe(0.75);
+			expect(analytics.medianResponseLagDays).toBe(2);
+		});
+
+		it('should count sentiment labels', () => {
+			const analytics = analyzeReviews(reviews);
+			expect(analytics.sentimentCounts).toEqual({ positive: 2, negative: 2, neutral: 0 });
+			expect(analytics.averageSentiment).toEqual(expect.any(Number));
+		});
+
+		it('should keep the average sentiment a number for reviews with words like "constructor"', () => {
+			const analytics = analyzeReviews([review(5, 'Great coffee, the constructor next door is loud', 10)]);
+			expect(analytics.averageSentiment).toEqual(expect.any(Number));
+			expect(analytics.averageSentiment).not.toBeNaN();
+		});
+
+		it('should average ratings per month, oldest first, and fit the change per year', () => {
+			const { ratingTrend } = analyzeReviews(reviews);
+			expect(ratingTrend.periods).toEqual([
+				{ period: '2024-03', count: 1, averageRating: 2 },
+				{ period: '2024-04', count: 1, averageRating: 1 },
+				{ period: '2024-05', count: 1, averageRating: 4 },
+				{ period: '2024-06', count: 1, averageRating: 5 },
+			]);
+			expect(ratingTrend.changePerYear).toBeGreaterThan(0);
+		});
+
+		it('should list the keywords of positive and negative reviews', () => {
+			const analytics = analyzeReviews(reviews);
+			expect(analytics.topPositiveKeywords[0]).toEqual({ keyword: 'coffee', count: 2 });
+			expect(analytics.topNegativeKeywords.map(({ keyword }) => keyword)).toEqual(
+				expect.arrayContaining(['rude', 'staff', 'overpriced', 'slow'])
+			);
+			expect(analytics.topNegativeKeywords.map(({ keyword }) => keyword)).not.toContain('and');
+		});
+
+		it('should limit the number of keywords', () => {
+			expect(analyzeReviews(reviews, { topKeywords: 2 }).topNegativeKeywords).toHaveLength(2);
+		});
+
+		it('should reuse sentiment already added to the reviews', () => {
+			const analytics = analyzeReviews([{ ...review(3, 'Great', 5), sentiment: { score: -0.5, label: 'negative' } }]);
+			expect(analytics.sentimentCounts.negative).toBe(1);
+			expect(analytics.averageSentiment).toBe(-0.5);
+		});
+
+		it('should skip reviews without dates in lags and trends', () => {
+			const analytics = analyzeReviews([{ rating: 5, text: 'Great', dateRange: null, response: { text: 'Thanks', dateRange: null } }]);
+			expect(analytics.responseRate).toBe(1);
+			expect(analytics.medianResponseLagDays).toBeNull();
+			expect(analytics.ratingTrend).toEqual({ periods: [], changePerYear: null });
+		});
+
+		it('should return empty analytics without reviews', () => {
+			expect(analyzeReviews([])).toEqual({
+				reviewCount: 0,
+				averageSentiment: null,
+				sentimentCounts: { positive: 0, negative: 0, neutral: 0 },
+				responseRate: null,
+				medianResponseLagDays: null,
+				ratingTrend: { periods: [], changePerYear: null },
+				topPositiveKeywords: [],
+				topNegativeKeywords: [],
+			});
+		});
+	});
+});
@@ -0,0 +1,84 @@
+import { describe, expect, it, jest } from '@jest/globals';
+
+const mockOpenDataset = jest.fn();
+
+jest.unstable_mockModule('apify', () => ({
+	Actor: {
+		openDataset: mockOpenDataset,
+	},
+}));
+
+const {
+	REVIEWS_DATASET_ALIAS,
+	flattenReviews,
+	openReviewsDataset,
+	summarizeReviews,
+} = await import('../review-dataset.js');
+
+const PLACE = {
+	title: 'Sightglass Coffee',
+	placeId: 'ChIJexqai3-AhYARkI9LLmwdWj8',
+	cid: '4564993522763796368',
+	url: 'https://www.google.com/maps/place/Sightglass+Coffee',
+	scrapedAt: '2024-06-30T12:00:00.000Z',
+};
+
+/**
+ * Tests for Reviews Dataset Utility
+ */
+describe('Review Dataset', () => {
+	describe('openReviewsDataset', () => {
+		it('should open the reviews dataset of the run by its alias', async () => {
+			mockOpenDataset.mockResolvedValue({});
+			await openReviewsDataset();
+			expect(mockOpenDataset).toHaveBeenCalledWith({ alias: REVIEWS_DATASET_ALIAS });
+		});
+
+		it('should open a named dataset', async () => {
+			mockOpenDataset.mockResolvedValue({});
+			await openReviewsDataset('google-maps-reviews');
+			expect(mockOpenDataset).toHaveBeenCalledWith('google-maps-reviews');
+		});
+	});
+
+	describe('flattenReviews', () => {
+		it('should add place back-references to every review', () => {
+			const rows = flattenReviews(PLACE, [
+				{ reviewId: 'r1', author: 'Maya', rating: 5, text: 'Great', response: null },
+			]);
+
+			expect(rows).toEqual([{
+				placeId: 'ChIJexqai3-AhYARkI9LLmwdWj8',
+				cid: '4564993522763796368',
+				placeTitle: 'Sightglass Coffee',
+				placeUrl: 'https://www.google.com/maps/place/Sightglass+Coffee',
+				reviewId: 'r1',
+				author: 'Maya',
+				rating: 5,
+				text: 'Great',
+				response: null,
+				scrapedAt: '2024-06-30T12:00:00.000Z',
+			}]);
+		});
+
+		it('should use null for unknown place identifiers', () => {
+			const [row] = flattenReviews({ url: 'https://www.google.com/maps/place/X', scrapedAt: PLACE.scrapedAt }, [{ author: 'A' }]);
+			expect(row).toMatchObject({ placeId: null, cid: null, placeTitle: null });
+		});
+	});
+
+	describe('summarizeReviews', () => {
+		it('should count reviews per rating and owner responses', () => {
+			expect(summarizeReviews([
+				{ rating: 5, response: { text: 'Thanks' } },
+				{ rating: 5, response: null },
+				{ rating: 2, response: null },
+				{ rating: null, response: null },
+			])).toEqual({
+				count: 4,
+				ratingCounts: { 1: 0, 2: 1, 3: 0, 4: 0, 5: 2 },
+				withResponse: 1,
+			});
+		});
+	});
+});
@@ -0,0 +1,126 @@
+import { describe, expect, it } from '@jest/globals';
+
+const {
+	addReviewDates,
+	parseRelativeDate,
+	parseRelativeDateRange,
+	resolveReviewsSince,
+} = await import('../review-dates.js');
+
+const NOW = new Date('2024-06-30T12:00:00.000Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Tests for Review Date Utility
+ */
+describe('Review Dates', () => {
+	describe('parseRelativeDate', () => {
+		it('should parse numeric and article amounts', () => {
+			expect(parseRelativeDate('2 weeks ago', NOW)).toEqual(new Date(NOW.getTime() - 14 * DAY));
+			expect(parseRelativeDate('a month ago', NOW)).toEqual(new Date(NOW.getTime() - 30 * DAY));
+			expect(parseRelativeDate('an hour ago', NOW)).toEqual(new Date(NOW.getTime() - 60 * 60 * 1000));
+			expect(parseRelativeDate('3 years ago', NOW)).toEqual(new Date(NOW.getTime() - 3 * 365 * DAY));
+		});
+
+		it('should handle edited reviews and special words', () => {
+			expect(parseRelativeDate('Edited 5 days ago', NOW)).toEqual(new Date(NOW.getTime() - 5 * DAY));
+			expect(parseRelativeDate('yesterday', NOW)).toEqual(new Date(NOW.getTime() - DAY));
+			expect(parseRelativeDate('just now', NOW)).toEqual(NOW);
+		});
+
+		it('should return null for unknown formats', () => {
+			expect(parseRelativeDate('June 2024', NOW)).toBeNull();
+			expect(parseRelativeDate(null, NOW)).toBeNull();
+		});
+	});
+
+	describe('parseRelativeDateRange', () => {
+		it('should estimate the range a rounded relative date stands for', () => {
+			expect(parseRelativeDateRange('2 weeks ago', NOW)).toEqual({
+				from: new Date(NOW.getTime() - 21 * DAY),
+				to: new Date(NOW.getTime() - 14 * DAY),
+				edited: false,
+				language: 'en',
+			});
+			expect(parseRelativeDateRange('today', NOW)).toMatchObject({ from: new Date(NOW.getTime() - DAY), to: NOW });
+		});
+
+		it.each([
+			['vor 2 Wochen', 'de', 14],
+			['vor einem Monat', 'de', 30],
+			['gestern', 'de', 1],
+			['il y a 3 jours', 'fr', 3],
+			['il y a un an', 'fr', 365],
+			['hace una semana', 'es', 7],
+			['hace 2 meses', 'es', 60],
+			['há 5 dias', 'pt', 5],
+			['há um mês', 'pt', 30],
+		])('should parse "%s"', (text, language, days) => {
+			const range = parseRelativeDateRange(text, NOW);
+			expect(range.language).toBe(language);
+			expect(range.to).toEqual(new Date(NOW.getTime() - days * DAY));
+		});
+
+		it('should flag edited reviews in every language', () => {
+			expect(parseRelativeDateRange('Edited a week ago', NOW).edited).toBe(true);
+			expect(parseRelativeDateRange('Bearbeitet: vor 2 Tagen', NOW).edited).toBe(true);
+			expect(parseRelativeDateRange('Modifié il y a 2 mois', NOW).edited).toBe(true);
+			expect(parseRelativeDateRange('Editado hace 3 años', NOW).edited).toBe(true);
+			expect(parseRelativeDateRange('Editado há uma semana', NOW).edited).toBe(true);
+		});
+
+		it('should return null for unknown units and phrases', () => {
+			expect(parseRelativeDateRange('2 fortnights ago', NOW)).toBeNull();
+			expect(parseRelativeDateRange('vor kurzem', NOW)).toBeNull();
+		});
+	});
+
+	describe('addReviewDates', () => {
+		it('should add ISO ranges to the review and its response', () => {
+			const review = addReviewDates({
+				author: 'A',
+				date: 'Edited 2 days ago',
+				response: { text: 'Thanks', date: 'yesterday' },
+			}, NOW);
+
+			expect(review).toEqual({
+				author: 'A',
+				date: 'Edited 2 days ago',
+				dateRange: { from: '2024-06-27T12:00:00.000Z', to: '2024-06-28T12:00:00.000Z' },
+				edited: true,
+				response: {
+					text: 'Thanks',
+					date: 'yesterday',
+					dateRange: { from: '2024-06-28T12:00:00.000Z', to: '2024-06-29T12:00:00.000Z' },
+				},
+			});
+		});
+
+		it('should leave unparseable dates without a range', () => {
+			expect(addReviewDates({ date: 'June 2024', response: null }, NOW)).toEqual({
+				date: 'June 2024',
+				dateRange: null,
+				edited: false,
+				response: null,
+			});
+		});
+	});
+
+	describe('resolveReviewsSince', () => {
+		it('should accept durations back from now', () => {
+			expect(resolveReviewsSince('30 days', NOW)).toEqual(new Date(NOW.getTime() - 30 * DAY));
+			expect(resolveReviewsSince('-2 weeks', NOW)).toEqual(new Date(NOW.getTime() - 14 * DAY));
+			expect(resolveReviewsSince('1 year ago', NOW)).toEqual(new Date(NOW.getTime() - 365 * DAY));
+		});
+
+		it('should accept ISO dates', () => {
+			expect(resolveReviewsSince('2024-01-31', NOW)).toEqual(new Date('2024-01-31T00:00:00.000Z'));
+			expect(resolveReviewsSince('2024-01-31T08:00:00Z', NOW)).toEqual(new Date('2024-01-31T08:00:00.000Z'));
+		});
+
+		it('should reject anything else', () => {
+			expect(() => resolveReviewsSince('last month', NOW)).toThrow('Invalid reviewsSince');
+			expect(() => resolveReviewsSince('2024-13-45', NOW)).toThrow('Invalid reviewsSince');
+		});
+	});
+});
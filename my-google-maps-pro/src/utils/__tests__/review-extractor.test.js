@@ -1,6 +1,75 @@
 import { describe, it, expect, beforeEach, jest } from '@jest/globals';
 
-const { scrollAndExtractReviews, extractReviewData } = await import('../review-extractor.js');
+const {
+	addOriginalTexts,
+	scrollAndExtractReviews,
+	extractReviewData,
+	openReviewsTab,
+	parseReviewerInfo,
+	parseSubRatings,
+	searchAndExtractReviews,
+	searchReviews,
+	sortReviews,
+} = await import('../review-extractor.js');
+const { DEFAULT_SELECTOR_PACK } = await import('../selector-pack.js');
+
+/**
+ * Creates a mock page whose review list grows by one batch per scroll
+ *
+ * @param {Array<Array<Object>>} batches - Reviews added by each scroll
+ * @returns {Object} Mock page and the number of scrolls made
+ */
+function createScrollingPage(batches) {
+	const state = { scrolls: 0 };
+	state.page = {
+		evaluate: jest.fn((fn) => {
+			if (fn.toString().includes('scrollBy')) {
+				state.scrolls++;
+				return Promise.resolve();
+			}
+			if (fn.toString().includes('scrollHeight')) {
+				return Promise.resolve(true);
+			}
+			return Promise.resolve(batches.slice(0, state.scrolls + 1).flat());
+		}),
+		waitForTimeout: jest.fn().mockResolvedValue(undefined),
+		$: jest.fn().mockResolvedValue(null),
+		$$: jest.fn().mockResolvedValue([]),
+	};
+	return state;
+}
+
+/**
+ * Creates a mock page with a "Search reviews" box that lists the given reviews per keyword
+ *
+ * @param {Object} resultsByKeyword - Map of keyword → reviews the search finds
+ * @returns {Object} Mock page and search input
+ */
+function createSearchPage(resultsByKeyword) {
+	const state = { keyword: null };
+	state.input = {
+		fill: jest.fn((value) => {
+			state.keyword = value;
+			return Promise.resolve();
+		}),
+		press: jest.fn().mockResolvedValue(undefined),
+	};
+	state.page = {
+		evaluate: jest.fn((fn) => {
+			if (fn.toString().includes('scrollBy')) {
+				return Promise.resolve();
+			}
+			if (fn.toString().includes('scrollHeight')) {
+				return Promise.resolve(false);
+			}
+			return Promise.resolve(resultsByKeyword[state.keyword] || []);
+		}),
+		waitForTimeout: jest.fn().mockResolvedValue(undefined),
+		$: jest.fn((selector) => Promise.resolve(selector === DEFAULT_SELECTOR_PACK.review.searchInput ? state.input : null)),
+		$$: jest.fn().mockResolvedValue([]),
+	};
+	return state;
+}
 
 /**
  * Tests for Review Extraction Utility
@@ -56,6 +125,108 @@ describe('Review Extractor', () => {
 			const reviews = await extractReviewData(mockPage);
 			expect(reviews).toEqual([]);
 		});
+
+		it('should keep one review per review ID and add reviewer details', async () => {
+			const mockPage = {
+				evaluate: jest.fn().mockResolvedValue([
+					{
+						reviewId: 'abc',
+						author: 'Maya Chen',
+						reviewerUrl: 'https://www.google.com/maps/contrib/1045739?hl=en',
+						reviewerInfo: 'Local Guide · 112 reviews · 340 photos',
+						rating: 5,
+						subRatings: ['Food: 5', 'Service: 4'],
+						text: 'Great',
+						likes: 3,
+						photos: ['https://lh5.googleusercontent.com/p/1'],
+					},
+					// The reviewer button inside the review repeats its ID
+					{ reviewId: 'abc', author: 'Maya Chen', rating: null, text: null },
+				]),
+			};
+
+			const reviews = await extractReviewData(mockPage);
+			expect(reviews).toEqual([{
+				reviewId: 'abc',
+				author: 'Maya Chen',
+				reviewerUrl: 'https://www.google.com/maps/contrib/1045739',
+				reviewerId: '1045739',
+				reviewerReviewCount: 112,
+				reviewerPhotoCount: 340,
+				isLocalGuide: true,
+				localGuideLevel: null,
+				rating: 5,
+				subRatings: { food: 5, service: 4 },
+				text: 'Great',
+				originalText: 'Great',
+				originalLanguage: null,
+				translatedText: null,
+				likes: 3,
+				photos: ['https://lh5.googleusercontent.com/p/1'],
+			}]);
+		});
+	});
+
+	describe('addOriginalTexts', () => {
+		it('should toggle translated reviews and read their original text', async () => {
+			const toggle = { click: jest.fn().mockResolvedValue() };
+			const root = { $: jest.fn((selector) => Promise.resolve(selector === DEFAULT_SELECTOR_PACK.review.translationToggle ? toggle : null)) };
+			const mockPage = {
+				$: jest.fn().mockResolvedValue(root),
+				waitForTimeout: jest.fn().mockResolvedValue(undefined),
+				evaluate: jest.fn().mockResolvedValue([
+					{ reviewId: 'de1', author: 'Jonas', text: 'Toller Kaffee.', language: 'de', translationToggle: 'See translation (English)' },
+				]),
+			};
+			const reviews = [
+				{ reviewId: 'de1', author: 'Jonas', text: 'Great coffee.', originalText: null, originalLanguage: 'de', translatedText: 'Great coffee.' },
+				{ reviewId: 'en1', author: 'Maya', text: 'Nice', originalText: 'Nice', originalLanguage: 'en', translatedText: null },
+			];
+
+			const result = await addOriginalTexts(mockPage, reviews);
+			expect(mockPage.$).toHaveBeenCalledTimes(1);
+			expect(mockPage.$).toHaveBeenCalledWith('[data-review-id="de1"]');
+			expect(toggle.click).toHaveBeenCalled();
+			expect(result[0]).toMatchObject({ originalText: 'Toller Kaffee.', translatedText: 'Great coffee.', originalLanguage: 'de' });
+			expect(result[1]).toBe(reviews[1]);
+		});
+
+		it('should not touch the page when no review is translated', async () => {
+			const mockPage = { $: jest.fn(), evaluate: jest.fn() };
+			const reviews = [{ reviewId: 'en1', text: 'Nice', originalText: 'Nice', translatedText: null }];
+
+			expect(await addOriginalTexts(mockPage, reviews)).toBe(reviews);
+			expect(mockPage.$).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('parseReviewerInfo', () => {
+		it('should read counts and Local Guide status', () => {
+			expect(parseReviewerInfo('Local Guide · Level 6 · 1,204 reviews · 3 photos')).toEqual({
+				reviewerReviewCount: 1204,
+				reviewerPhotoCount: 3,
+				isLocalGuide: true,
+				localGuideLevel: 6,
+			});
+			expect(parseReviewerInfo('1 review')).toEqual({
+				reviewerReviewCount: 1,
+				reviewerPhotoCount: null,
+				isLocalGuide: false,
+				localGuideLevel: null,
+			});
+		});
+	});
+
+	describe('parseSubRatings', () => {
+		it('should keep numeric aspects only', () => {
+			expect(parseSubRatings(['Food: 5', 'Service:  4', 'Meal type: Lunch', 'Atmosphere: 3'])).toEqual({
+				food: 5,
+				service: 4,
+				atmosphere: 3,
+			});
+			expect(parseSubRatings(['Price per person: $10–20'])).toBeNull();
+			expect(parseSubRatings()).toBeNull();
+		});
 	});
 
 	describe('scrollAndExtractReviews', () => {
@@ -100,6 +271,121 @@ describe('Review Extractor', () => {
 			expect(reviews.length).toBeLessThanOrEqual(5);
 		});
 
+		it('should open the Reviews tab and select the sort order', async () => {
+			const tab = { click: jest.fn().mockResolvedValue() };
+			const sortButton = { click: jest.fn().mockResolvedValue() };
+			const menuItems = [0, 1, 2, 3].map(() => ({ click: jest.fn().mockResolvedValue() }));
+			const state = createScrollingPage([[]]);
+			state.page.$ = jest.fn((selector) => Promise.resolve(selector === DEFAULT_SELECTOR_PACK.review.tab ? tab : sortButton));
+			state.page.$$ = jest.fn((selector) => Promise.resolve(selector === DEFAULT_SELECTOR_PACK.review.sortMenuItem ? menuItems : []));
+
+			await scrollAndExtractReviews(state.page, { maxReviews: 10, sort: 'lowestRating' });
+			expect(tab.click).toHaveBeenCalled();
+			expect(sortButton.click).toHaveBeenCalled();
+			expect(menuItems[3].click).toHaveBeenCalled();
+			expect(menuItems[0].click).not.toHaveBeenCalled();
+		});
+
+		it('should open the Overview tab again when done', async () => {
+			const tab = { click: jest.fn().mockResolvedValue() };
+			const overviewTab = { click: jest.fn().mockResolvedValue() };
+			const state = createScrollingPage([[{ reviewId: '1', author: 'A', rating: 5, text: 'Great', date: 'a week ago' }]]);
+			state.page.$ = jest.fn((selector) => Promise.resolve({
+				[DEFAULT_SELECTOR_PACK.review.tab]: tab,
+				[DEFAULT_SELECTOR_PACK.about.overviewTab]: overviewTab,
+			}[selector] || null));
+
+			await scrollAndExtractReviews(state.page, { maxReviews: 1 });
+			expect(tab.click).toHaveBeenCalled();
+			expect(overviewTab.click).toHaveBeenCalledTimes(1);
+
+			// Also when the keyword search box is missing and nothing is collected
+			expect(await scrollAndExtractReviews(state.page, { keyword: 'latte' })).toEqual([]);
+			expect(overviewTab.click).toHaveBeenCalledTimes(2);
+		});
+
+		it('should reject unknown sort orders', async () => {
+			const state = createScrollingPage([[]]);
+			await expect(scrollAndExtractReviews(state.page, { sort: 'oldest' })).rejects.toThrow('Unknown review sort order');
+		});
+
+		it('should stop at the date cutoff when sorted by newest', async () => {
+			const now = new Date('2024-06-30T12:00:00.000Z');
+			const state = createScrollingPage([
+				[{ author: 'A', rating: 5, text: 'New', date: '2 days ago' }],
+				[{ author: 'B', rating: 4, text: 'Recent', date: '3 weeks ago' }],
+				[{ author: 'C', rating: 3, text: 'Old', date: '2 months ago' }],
+				[{ author: 'D', rating: 2, text: 'Older', date: 'a year ago' }],
+			]);
+
+			const reviews = await scrollAndExtractReviews(state.page, {
+				maxReviews: 100,
+				sort: 'newest',
+				since: new Date('2024-05-31T12:00:00.000Z'),
+				now,
+			});
+			expect(reviews.map((review) => review.author)).toEqual(['A', 'B']);
+			expect(state.scrolls).toBe(2);
+			expect(reviews[0].dateRange).toEqual({ from: '2024-06-27T12:00:00.000Z', to: '2024-06-28T12:00:00.000Z' });
+		});
+
+		it('should keep short reviews with the same author and text apart by review ID', async () => {
+			const state = createScrollingPage([
+				[{ reviewId: '1', author: 'A', rating: 5, text: null, date: 'a week ago' }],
+				[{ reviewId: '2', author: 'A', rating: 5, text: null, date: 'a week ago' }],
+			]);
+
+			const reviews = await scrollAndExtractReviews(state.page, { maxReviews: 100 });
+			expect(reviews.map((review) => review.reviewId)).toEqual(['1', '2']);
+		});
+
+		it('should put the chosen text version into text', async () => {
+			const state = createScrollingPage([[
+				{ reviewId: '1', author: 'A', text: 'Great coffee.', language: 'de', translationToggle: 'See original (German)' },
+			]]);
+
+			const translated = await scrollAndExtractReviews(state.page, { maxReviews: 1 });
+			expect(translated[0]).toMatchObject({ text: 'Great coffee.', translatedText: 'Great coffee.', originalText: null });
+
+			const original = await scrollAndExtractReviews(state.page, { maxReviews: 1, textVersion: 'original' });
+			// Without an original to fall back to, the translation is kept
+			expect(original[0].text).toBe('Great coffee.');
+		});
+
+		it('should reject unknown text versions', async () => {
+			const state = createScrollingPage([[]]);
+			await expect(scrollAndExtractReviews(state.page, { textVersion: 'german' })).rejects.toThrow('Unknown review text version');
+		});
+
+		it('should skip known reviews and stop at them when sorted by newest', async () => {
+			const state = createScrollingPage([
+				[{ reviewId: 'new1', author: 'A', text: 'New', date: '2 days ago' }],
+				[{ reviewId: 'new2', author: 'B', text: 'Newer than the last run', date: '3 days ago' }],
+				[{ reviewId: 'seen1', author: 'C', text: 'Seen', date: 'a week ago' }],
+				[{ reviewId: 'seen0', author: 'D', text: 'Seen too', date: '2 weeks ago' }],
+			]);
+
+			const reviews = await scrollAndExtractReviews(state.page, {
+				maxReviews: 100,
+				sort: 'newest',
+				knownReviewIds: new Set(['seen1', 'seen0']),
+			});
+			expect(reviews.map((review) => review.reviewId)).toEqual(['new1', 'new2']);
+			expect(state.scrolls).toBe(2);
+		});
+
+		it('should keep only reviews within the star range', async () => {
+			const state = createScrollingPage([
+				[{ author: 'A', rating: 1, text: 'Bad', date: 'a week ago' }, { author: 'B', rating: 2, text: 'Meh', date: 'a week ago' }],
+				[{ author: 'C', rating: 4, text: 'Good', date: 'a week ago' }],
+				[{ author: 'D', rating: 5, text: 'Great', date: 'a week ago' }],
+			]);
+
+			const reviews = await scrollAndExtractReviews(state.page, { maxReviews: 100, sort: 'lowestRating', maxStars: 2 });
+			expect(reviews.map((review) => review.author)).toEqual(['A', 'B']);
+			expect(state.scrolls).toBe(1);
+		});
+
 		it('should expand "More" buttons in reviews', async () => {
 			const mockClick = jest.fn().mockResolvedValue(undefined);
 			const mockPage = {
@@ -114,5 +400,92 @@ describe('Review Extractor', () => {
 			expect(mockClick).toHaveBeenCalled();
 		});
 	});
-});
 
+	describe('openReviewsTab', () => {
+		it('should return false when there is no Reviews tab', async () => {
+			const mockPage = { $: jest.fn().mockResolvedValue(null) };
+			expect(await openReviewsTab(mockPage)).toBe(false);
+		});
+	});
+
+	describe('searchReviews', () => {
+		it('should open the search box and submit the keyword', async () => {
+			const input = { fill: jest.fn().mockResolvedValue(undefined), press: jest.fn().mockResolvedValue(undefined) };
+			const button = { click: jest.fn().mockResolvedValue(undefined) };
+			let opened = false;
+			const mockPage = {
+				$: jest.fn((selector) => {
+					if (selector === DEFAULT_SELECTOR_PACK.review.searchButton) {
+						return Promise.resolve(button);
+					}
+					return Promise.resolve(opened ? input : null);
+				}),
+				waitForTimeout: jest.fn(() => {
+					opened = button.click.mock.calls.length > 0;
+					return Promise.resolve();
+				}),
+			};
+
+			expect(await searchReviews(mockPage, 'allergy')).toBe(true);
+			expect(button.click).toHaveBeenCalled();
+			expect(input.fill).toHaveBeenCalledWith('allergy');
+			expect(input.press).toHaveBeenCalledWith('Enter');
+		});
+
+		it('should return false when the place has no search box', async () => {
+			const mockPage = { $: jest.fn().mockResolvedValue(null), waitForTimeout: jest.fn() };
+			expect(await searchReviews(mockPage, 'allergy')).toBe(false);
+		});
+	});
+
+	describe('searchAndExtractReviews', () => {
+		it('should tag reviews with the keywords that found them', async () => {
+			const { page } = createSearchPage({
+				allergy: [
+					{ reviewId: 'r1', author: 'Ana', rating: 2, text: 'Staff ignored my nut allergy', date: '2 days ago' },
+					{ reviewId: 'r2', author: 'Ben', rating: 5, text: 'Gluten-free and allergy friendly', date: 'a week ago' },
+				],
+				gluten: [
+					{ reviewId: 'r2', author: 'Ben', rating: 5, text: 'Gluten-free and allergy friendly', date: 'a week ago' },
+				],
+			});
+
+			const reviews = await searchAndExtractReviews(page, ['allergy', ' gluten ', 'allergy', ''], { scrollDelay: 0 });
+			expect(reviews.map(({ reviewId, matchedKeywords }) => ({ reviewId, matchedKeywords }))).toEqual([
+				{ reviewId: 'r1', matchedKeywords: ['allergy'] },
+				{ reviewId: 'r2', matchedKeywords: ['allergy', 'gluten'] },
+			]);
+		});
+
+		it('should apply the star filter to search results', async () => {
+			const { page } = createSearchPage({
+				allergy: [
+					{ reviewId: 'r1', author: 'Ana', rating: 2, text: 'Staff ignored my nut allergy', date: '2 days ago' },
+					{ reviewId: 'r2', author: 'Ben', rating: 5, text: 'Allergy friendly', date: 'a week ago' },
+				],
+			});
+
+			const reviews = await searchAndExtractReviews(page, ['allergy'], { scrollDelay: 0, maxStars: 3 });
+			expect(reviews.map((review) => review.reviewId)).toEqual(['r1']);
+		});
+
+		it('should collect nothing when the search box is missing', async () => {
+			const { page } = createSearchPage({});
+			page.$.mockResolvedValue(null);
+
+			expect(await searchAndExtractReviews(page, ['allergy'], { scrollDelay: 0 })).toEqual([]);
+			expect(page.evaluate).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('sortReviews', () => {
+		it('should return false when the sort menu is missing', async () => {
+			const mockPage = { $: jest.fn().mockResolvedValue(null) };
+			expect(await sortReviews(mockPage, 'newest')).toBe(false);
+		});
+
+		it('should reject unknown sort orders', async () => {
+			await expect(sortReviews({}, 'random')).rejects.toThrow('Unknown review sort order: random');
+		});
+	});
+});
@@ -0,0 +1,99 @@
+import { describe, expect, it, jest } from '@jest/globals';
+
+const { extractReviewSummary, parseRatingHistogram, parseReviewTopics } = await import('../review-summary.js');
+const { DEFAULT_SELECTOR_PACK } = await import('../selector-pack.js');
+
+/**
+ * Tests for Review Summary Utility
+ */
+describe('Review Summary', () => {
+	describe('parseRatingHistogram', () => {
+		it('should read the review count of every star level', () => {
+			expect(parseRatingHistogram([
+				{ label: '5 stars, 1,520 reviews' },
+				{ label: '4 stars, 402 reviews' },
+				{ label: '3 stars, 141 reviews' },
+				{ label: '2 stars, 52 reviews' },
+				{ label: '1 star, 1 review' },
+			])).toEqual({ 1: 1, 2: 52, 3: 141, 4: 402, 5: 1520 });
+		});
+
+		it('should return null without histogram bars', () => {
+			expect(parseRatingHistogram([])).toBeNull();
+			expect(parseRatingHistogram([{ label: null }])).toBeNull();
+		});
+	});
+
+	describe('parseReviewTopics', () => {
+		it('should read keywords and counts from chip labels', () => {
+			expect(parseReviewTopics([
+				{ label: 'All', keyword: 'All', count: null },
+				{ label: 'latte, mentioned in 42 reviews', keyword: 'latte', count: '42' },
+				{ label: 'cold brew, mentioned in 1,204 reviews', keyword: null, count: null },
+			])).toEqual([
+				{ keyword: 'latte', count: 42 },
+				{ keyword: 'cold brew', count: 1204 },
+			]);
+		});
+
+		it('should fall back to the chip texts', () => {
+			expect(parseReviewTopics([{ label: null, keyword: 'parking', count: '12' }])).toEqual([
+				{ keyword: 'parking', count: 12 },
+			]);
+		});
+	});
+
+	describe('extractReviewSummary', () => {
+		it('should open the Reviews tab when no topic chips are shown, then return to the Overview', async () => {
+			let tabOpened = false;
+			const tab = {
+				click: jest.fn(async () => {
+					tabOpened = true;
+				}),
+			};
+			const overviewTab = { click: jest.fn().mockResolvedValue(undefined) };
+			const mockPage = {
+				evaluate: jest.fn((_fn, group) => {
+					if (group === DEFAULT_SELECTOR_PACK.ratingHistogram) {
+						return Promise.resolve([{ label: '5 stars, 10 reviews' }]);
+					}
+					return Promise.resolve(tabOpened ? [{ label: 'latte, mentioned in 4 reviews' }] : []);
+				}),
+				$: jest.fn((selector) => Promise.resolve(selector === DEFAULT_SELECTOR_PACK.about.overviewTab ? overviewTab : tab)),
+				waitForTimeout: jest.fn().mockResolvedValue(undefined),
+			};
+
+			const summary = await extractReviewSummary(mockPage);
+			expect(tab.click).toHaveBeenCalled();
+			expect(overviewTab.click).toHaveBeenCalled();
+			expect(summary).toEqual({
+				ratingHistogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 10 },
+				reviewTopics: [{ keyword: 'latte', count: 4 }],
+			});
+		});
+
+		it('should return to the Overview when the topic chips are already shown', async () => {
+			const reviewsTab = { click: jest.fn().mockResolvedValue(undefined) };
+			const overviewTab = { click: jest.fn().mockResolvedValue(undefined) };
+			const mockPage = {
+				evaluate: jest.fn((_fn, group) => Promise.resolve(group === DEFAULT_SELECTOR_PACK.reviewTopics
+					? [{ label: 'latte, mentioned in 4 reviews' }]
+					: [])),
+				$: jest.fn((selector) => Promise.resolve(selector === DEFAULT_SELECTOR_PACK.about.overviewTab ? overviewTab : reviewsTab)),
+				waitForTimeout: jest.fn().mockResolvedValue(undefined),
+			};
+
+			expect((await extractReviewSummary(mockPage)).reviewTopics).toEqual([{ keyword: 'latte', count: 4 }]);
+			expect(reviewsTab.click).not.toHaveBeenCalled();
+			expect(overviewTab.click).toHaveBeenCalled();
+		});
+
+		it('should return empty results for packs without the sections', async () => {
+			const mockPage = { evaluate: jest.fn() };
+			const { ratingHistogram: _histogram, reviewTopics: _topics, ...pack } = DEFAULT_SELECTOR_PACK;
+
+			expect(await extractReviewSummary(mockPage, pack)).toEqual({ ratingHistogram: null, reviewTopics: [] });
+			expect(mockPage.evaluate).not.toHaveBeenCalled();
+		});
+	});
+});
@@ -0,0 +1,84 @@
+import { describe, expect, it, jest } from '@jest/globals';
+
+const mockOpenKeyValueStore = jest.fn();
+
+jest.unstable_mockModule('apify', () => ({
+	Actor: {
+		openKeyValueStore: mockOpenKeyValueStore,
+	},
+}));
+
+const {
+	DEFAULT_WATERMARK_STORE_NAME,
+	MAX_WATERMARK_REVIEW_IDS,
+	getWatermarkKey,
+	getWatermarkSince,
+	openWatermarkStore,
+	updateReviewWatermark,
+} = await import('../review-watermark.js');
+
+const NOW = new Date('2024-06-30T12:00:00.000Z');
+
+/**
+ * Tests for Review Watermark Utility
+ */
+describe('Review Watermark', () => {
+	describe('getWatermarkKey', () => {
+		it('should prefer the CID, then the place ID', () => {
+			expect(getWatermarkKey({ cid: '4564993522763796368', placeId: 'ChIJabc' })).toBe('cid-4564993522763796368');
+			expect(getWatermarkKey({ cid: null, placeId: 'ChIJabc-123' })).toBe('place-ChIJabc-123');
+		});
+
+		it('should fall back to a sanitized URL key', () => {
+			expect(getWatermarkKey({ url: 'https://www.google.com/maps/place/Cafe/@37.7,-122.4,17z' }))
+				.toBe('url-https___www.google.com_maps_place_Cafe__37.7_-122.4_17z');
+		});
+	});
+
+	describe('openWatermarkStore', () => {
+		it('should open the named store', async () => {
+			mockOpenKeyValueStore.mockResolvedValue({});
+			await openWatermarkStore();
+			expect(mockOpenKeyValueStore).toHaveBeenCalledWith(DEFAULT_WATERMARK_STORE_NAME);
+		});
+	});
+
+	describe('updateReviewWatermark', () => {
+		const reviews = [
+			{ reviewId: 'r3', dateRange: { from: '2024-06-27T12:00:00.000Z', to: '2024-06-28T12:00:00.000Z' } },
+			{ reviewId: 'r2', dateRange: { from: '2024-06-20T12:00:00.000Z', to: '2024-06-21T12:00:00.000Z' } },
+		];
+
+		it('should record the newest review IDs and date', () => {
+			expect(updateReviewWatermark(null, reviews, NOW)).toEqual({
+				reviewIds: ['r3', 'r2'],
+				latestReviewDate: '2024-06-27T12:00:00.000Z',
+				updatedAt: '2024-06-30T12:00:00.000Z',
+			});
+		});
+
+		it('should put new IDs before the previous ones and cap the list', () => {
+			const previous = {
+				reviewIds: Array.from({ length: MAX_WATERMARK_REVIEW_IDS }, (_value, index) => `old${index}`),
+				latestReviewDate: '2024-06-01T00:00:00.000Z',
+				updatedAt: '2024-06-02T00:00:00.000Z',
+			};
+
+			const watermark = updateReviewWatermark(previous, reviews, NOW);
+			expect(watermark.reviewIds).toHaveLength(MAX_WATERMARK_REVIEW_IDS);
+			expect(watermark.reviewIds.slice(0, 3)).toEqual(['r3', 'r2', 'old0']);
+		});
+
+		it('should keep the previous watermark when nothing new was found', () => {
+			const previous = { reviewIds: ['r1'], latestReviewDate: null, updatedAt: '2024-06-02T00:00:00.000Z' };
+			expect(updateReviewWatermark(previous, [], NOW)).toBe(previous);
+		});
+	});
+
+	describe('getWatermarkSince', () => {
+		it('should return the latest review date', () => {
+			expect(getWatermarkSince({ latestReviewDate: '2024-06-27T12:00:00.000Z' })).toEqual(new Date('2024-06-27T12:00:00.000Z'));
+			expect(getWatermarkSince(null)).toBeNull();
+		});
+	});
+});
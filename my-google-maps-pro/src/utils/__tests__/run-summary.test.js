@@ -0,0 +1,129 @@
+import { describe, expect, it } from '@jest/globals';
+
+const {
+	RUN_SUMMARY_KEY,
+	buildRunSummary,
+	createRunStats,
+	recordCaptcha,
+	recordFailure,
+	recordFieldCoverage,
+	recordSearchStats,
+	recordTiming,
+} = await import('../run-summary.js');
+const { recordSearchHits } = await import('../search-hits.js');
+
+const STARTED_AT = new Date('2024-06-30T12:00:00.000Z');
+const FINISHED_AT = new Date('2024-06-30T12:05:30.000Z');
+
+/**
+ * Tests for Run Summary Utility
+ */
+describe('Run Summary', () => {
+	describe('record functions', () => {
+		it('should count per search without changing the stats they are given', () => {
+			const initial = createRunStats();
+			let stats = recordSearchStats(initial, 0, { enqueued: 1 });
+			stats = recordSearchStats(stats, 0, { enqueued: 1 });
+			stats = recordSearchStats(stats, 0, { scraped: 1 });
+
+			expect(stats.searches).toEqual({ 0: { enqueued: 2, scraped: 1 } });
+			expect(initial).toEqual(createRunStats());
+		});
+
+		it('should count failures by stage and CAPTCHAs', () => {
+			let stats = recordFailure(createRunStats(), 'reviews');
+			stats = recordFailure(stats, 'reviews');
+			stats = recordFailure(stats, 'detail');
+			stats = recordCaptcha(stats, 'encountered');
+			stats = recordCaptcha(stats, 'encountered');
+			stats = recordCaptcha(stats, 'solved');
+
+			expect(stats.failures).toEqual({ reviews: 2, detail: 1 });
+			expect(stats.captchas).toEqual({ encountered: 2, solved: 1 });
+		});
+
+		it('should add up handler timings', () => {
+			let stats = recordTiming(createRunStats(), 'detail', 4000);
+			stats = recordTiming(stats, 'detail', 6000);
+			expect(stats.timings).toEqual({ detail: { count: 2, totalMillis: 10000 } });
+		});
+
+		it('should count filled fields, leaving out empty values', () => {
+			let stats = recordFieldCoverage(createRunStats(), {
+				title: 'Sightglass Coffee',
+				phone: '(415) 861-1313',
+				website: '',
+				categories: [],
+				openingHours: { days: [] },
+				rating: 0,
+			});
+			stats = recordFieldCoverage(stats, { title: 'Tartine Bakery', phone: null, website: 'https://tartinebakery.com/', reviewCount: 5123 });
+
+			expect(stats.coverage).toEqual({
+				places: 2,
+				fields: { title: 2, phone: 1, website: 1, categories: 0, openingHours: 1, rating: 1, reviewCount: 1 },
+			});
+		});
+	});
+
+	describe('buildRunSummary', () => {
+		const searches = [
+			{ query: 'coffee shops', location: 'San Francisco, CA' },
+			{ query: 'bakeries' },
+		];
+
+		it('should summarize searches, failures, timings and coverage', () => {
+			let stats = createRunStats();
+			stats = recordSearchStats(stats, 0, { enqueued: 2 });
+			stats = recordSearchStats(stats, 0, { scraped: 1 });
+			stats = recordFailure(stats, 'photos');
+			stats = recordTiming(stats, 'detail', 4000);
+			stats = recordTiming(stats, 'detail', 5001);
+			stats = recordFieldCoverage(stats, { title: 'Sightglass Coffee', phone: '(415) 861-1313' });
+			stats = recordFieldCoverage(stats, { title: 'Tartine Bakery', phone: null });
+			stats = recordFieldCoverage(stats, { title: 'Blue Bottle Coffee', phone: null });
+			const searchHits = recordSearchHits({}, { searchIndex: 0, query: 'coffee shops' }, ['cid:1', 'cid:2', 'cid:3']);
+
+			expect(buildRunSummary(stats, {
+				searches,
+				searchHits,
+				requests: { requestsFinished: 4, requestsFailed: 1, requestsRetries: 2 },
+				startedAt: STARTED_AT,
+				finishedAt: FINISHED_AT,
+			})).toEqual({
+				status: 'SUCCEEDED',
+				error: null,
+				startedAt: STARTED_AT.toISOString(),
+				finishedAt: FINISHED_AT.toISOString(),
+				durationSecs: 330,
+				timings: { detail: { count: 2, totalMillis: 9001, averageMillis: 4501 } },
+				requests: { finished: 4, failed: 1, retries: 2 },
+				searches: [
+					{ searchIndex: 0, query: 'coffee shops', location: 'San Francisco, CA', found: 3, enqueued: 2, scraped: 1 },
+					{ searchIndex: 1, query: 'bakeries', location: null, found: 0, enqueued: 0, scraped: 0 },
+				],
+				places: 3,
+				failures: { photos: 1 },
+				captchas: { encountered: 0, solved: 0 },
+				fieldCoverage: {
+					phone: { count: 1, rate: 0.333 },
+					title: { count: 3, rate: 1 },
+				},
+			});
+		});
+
+		it('should report failed runs without crawler statistics', () => {
+			const summary = buildRunSummary(createRunStats(), { startedAt: STARTED_AT, finishedAt: FINISHED_AT, error: 'Browser crashed' });
+
+			expect(summary).toMatchObject({
+				status: 'FAILED',
+				error: 'Browser crashed',
+				requests: { finished: null, failed: null, retries: null },
+				searches: [],
+				places: 0,
+				fieldCoverage: {},
+			});
+			expect(RUN_SUMMARY_KEY).toBe('RUN_SUMMARY');
+		});
+	});
+});
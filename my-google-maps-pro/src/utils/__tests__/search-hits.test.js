@@ -0,0 +1,86 @@
+import { describe, expect, it } from '@jest/globals';
+
+const { getSearchHits, recordSearchHits } = await import('../search-hits.js');
+const { createAreaFilter } = await import('../geo-grid.js');
+
+const SIGHTGLASS = '0x8085807f8b9a1a7b:0x3f5a1d6c2e4b8f90';
+const TARTINE = '0x808f7e3dadc07a37:0xc86b0b2bb93b73d8';
+
+const COFFEE_SHOPS = { searchIndex: 0, query: 'coffee shops', location: 'San Francisco, CA' };
+const CAFES = { searchIndex: 1, query: 'cafes', location: 'San Francisco, CA' };
+
+/**
+ * Tests for Search Hits Utility
+ */
+describe('Search Hits', () => {
+	describe('recordSearchHits', () => {
+		it('should rank places by their position in the results', () => {
+			const registry = recordSearchHits({}, COFFEE_SHOPS, [TARTINE, SIGHTGLASS]);
+
+			expect(registry).toEqual({
+				[TARTINE]: [{ ...COFFEE_SHOPS, rank: 1 }],
+				[SIGHTGLASS]: [{ ...COFFEE_SHOPS, rank: 2 }],
+			});
+		});
+
+		it('should record one hit per search', () => {
+			let registry = recordSearchHits({}, COFFEE_SHOPS, [TARTINE, SIGHTGLASS]);
+			registry = recordSearchHits(registry, CAFES, [SIGHTGLASS]);
+
+			expect(registry[SIGHTGLASS]).toEqual([
+				{ ...COFFEE_SHOPS, rank: 2 },
+				{ ...CAFES, rank: 1 },
+			]);
+		});
+
+		it('should keep the best rank when area tiles find a place twice', () => {
+			const search = { searchIndex: 0, query: 'coffee shops' };
+			let registry = recordSearchHits({}, search, [TARTINE, SIGHTGLASS]);
+			registry = recordSearchHits(registry, search, [SIGHTGLASS]);
+			registry = recordSearchHits(registry, search, [TARTINE, 'cid:1', SIGHTGLASS]);
+
+			expect(registry[SIGHTGLASS]).toEqual([{ ...search, location: null, rank: 1 }]);
+			expect(registry[TARTINE]).toEqual([{ ...search, location: null, rank: 1 }]);
+		});
+
+		it('should not change the registry it is given', () => {
+			const registry = recordSearchHits({}, COFFEE_SHOPS, [SIGHTGLASS]);
+			recordSearchHits(registry, CAFES, [SIGHTGLASS, TARTINE]);
+
+			expect(registry).toEqual({ [SIGHTGLASS]: [{ ...COFFEE_SHOPS, rank: 1 }] });
+		});
+	});
+
+	describe('getSearchHits', () => {
+		it('should list hits best rank first', () => {
+			let registry = recordSearchHits({}, COFFEE_SHOPS, [TARTINE, SIGHTGLASS]);
+			registry = recordSearchHits(registry, CAFES, [SIGHTGLASS]);
+
+			expect(getSearchHits(registry, SIGHTGLASS).map((hit) => hit.query)).toEqual(['cafes', 'coffee shops']);
+			expect(registry[SIGHTGLASS][0].query).toBe('coffee shops');
+		});
+
+		it('should return no hits for direct places', () => {
+			expect(getSearchHits({}, undefined)).toEqual([]);
+		});
+
+		it('should leave out area searches whose area does not contain the place', () => {
+			let registry = recordSearchHits({}, { searchIndex: 0, query: 'coffee shops' }, [SIGHTGLASS]);
+			registry = recordSearchHits(registry, CAFES, [SIGHTGLASS]);
+			const areaFilters = new Map([
+				[0, createAreaFilter({ center: { lat: 40.7081, lng: -73.9571 }, radiusKm: 2 })],
+			]);
+
+			expect(getSearchHits(registry, SIGHTGLASS, areaFilters, { lat: 37.7769, lng: -122.4088 }).map((hit) => hit.searchIndex))
+				.toEqual([1]);
+			expect(getSearchHits(registry, SIGHTGLASS, areaFilters, { lat: 40.7085, lng: -73.957 })).toHaveLength(2);
+		});
+
+		it('should keep area hits when the place position is unknown', () => {
+			const registry = recordSearchHits({}, { searchIndex: 0, query: 'coffee shops' }, [SIGHTGLASS]);
+			const areaFilters = new Map([[0, () => false]]);
+
+			expect(getSearchHits(registry, SIGHTGLASS, areaFilters, null)).toHaveLength(1);
+		});
+	});
+});
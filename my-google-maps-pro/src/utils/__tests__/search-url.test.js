@@ -0,0 +1,129 @@
+import { describe, expect, it, jest } from '@jest/globals';
+
+const {
+	DEFAULT_SEARCH_ZOOM,
+	buildSearchUrl,
+	buildLocationUrl,
+	parseViewportFromUrl,
+	validateSearchViewport,
+	createSearchRequest,
+	geocodeLocation,
+} = await import('../search-url.js');
+
+/**
+ * Tests for Search URL Utility
+ */
+describe('Search URL', () => {
+	describe('buildSearchUrl', () => {
+		it('should build a search URL centered on the viewport', () => {
+			expect(buildSearchUrl({ query: 'dentists', lat: 40.7081, lng: -73.9571, zoom: 16 })).toBe(
+				'https://www.google.com/maps/search/dentists/@40.7081,-73.9571,16z?hl=en'
+			);
+		});
+
+		it('should encode the query and use the default zoom', () => {
+			expect(buildSearchUrl({ query: ' café & bar ', lat: 48.85, lng: 2.35 })).toBe(
+				`https://www.google.com/maps/search/caf%C3%A9+%26+bar/@48.85,2.35,${DEFAULT_SEARCH_ZOOM}z?hl=en`
+			);
+		});
+	});
+
+	describe('buildLocationUrl', () => {
+		it('should build a location search URL', () => {
+			expect(buildLocationUrl('Williamsburg, Brooklyn')).toBe(
+				'https://www.google.com/maps/search/Williamsburg%2C+Brooklyn?hl=en'
+			);
+		});
+	});
+
+	describe('parseViewportFromUrl', () => {
+		it('should read center and zoom from a Google Maps URL', () => {
+			expect(parseViewportFromUrl('https://www.google.com/maps/search/dentists/@40.7081,-73.9571,16.5z?entry=ttu')).toEqual({
+				lat: 40.7081,
+				lng: -73.9571,
+				zoom: 16.5,
+			});
+		});
+
+		it('should return null for URLs without a viewport', () => {
+			expect(parseViewportFromUrl('https://www.google.com/maps')).toBeNull();
+			expect(parseViewportFromUrl(undefined)).toBeNull();
+		});
+	});
+
+	describe('validateSearchViewport', () => {
+		it('should accept searches with and without coordinates', () => {
+			expect(() => validateSearchViewport({ query: 'a' })).not.toThrow();
+			expect(() => validateSearchViewport({ query: 'a', lat: 0, lng: 0, zoom: 21 })).not.toThrow();
+		});
+
+		it('should require lat and lng together', () => {
+			expect(() => validateSearchViewport({ query: 'a', lat: 40 })).toThrow('must set both lat and lng');
+		});
+
+		it('should reject out of range values', () => {
+			expect(() => validateSearchViewport({ query: 'a', lat: 91, lng: 0 })).toThrow('Invalid latitude');
+			expect(() => validateSearchViewport({ query: 'a', lat: 0, lng: -181 })).toThrow('Invalid longitude');
+			expect(() => validateSearchViewport({ query: 'a', zoom: 0 })).toThrow('Invalid zoom');
+		});
+	});
+
+	describe('createSearchRequest', () => {
+		it('should open centered searches directly', () => {
+			const request = createSearchRequest({ query: 'dentists', location: 'ignored', lat: 40.7, lng: -73.9 });
+
+			expect(request.url).toBe(`https://www.google.com/maps/search/dentists/@40.7,-73.9,${DEFAULT_SEARCH_ZOOM}z?hl=en`);
+			expect(request.userData).toMatchObject({
+				label: 'SEARCH',
+				query: 'dentists',
+				viewport: { lat: 40.7, lng: -73.9, zoom: DEFAULT_SEARCH_ZOOM },
+			});
+		});
+
+		it('should keep typed searches for plain and geocoded searches', () => {
+			const request = createSearchRequest({ query: 'dentists', location: 'Williamsburg, Brooklyn', zoom: 16 });
+
+			expect(request.url).toBe('https://www.google.com/maps?hl=en');
+			expect(request.userData).toMatchObject({
+				query: 'dentists Williamsburg, Brooklyn',
+				searchQuery: 'dentists',
+				location: 'Williamsburg, Brooklyn',
+				zoom: 16,
+				viewport: null,
+			});
+		});
+
+		it('should give each search its own unique key', () => {
+			const keys = [
+				createSearchRequest({ query: 'cafes', location: 'Paris' }),
+				createSearchRequest({ query: 'bars', location: 'Paris' }),
+				createSearchRequest({ query: 'cafes', location: 'Paris', zoom: 14 }),
+			].map((request) => request.uniqueKey);
+
+			expect(new Set(keys).size).toBe(3);
+		});
+	});
+
+	describe('geocodeLocation', () => {
+		it('should return the map center Google Maps moves to', async () => {
+			const mockPage = {
+				goto: jest.fn().mockResolvedValue(undefined),
+				waitForURL: jest.fn().mockResolvedValue(undefined),
+				url: () => 'https://www.google.com/maps/place/Williamsburg,+Brooklyn/@40.7081,-73.9571,14z/data=!3m1',
+			};
+
+			await expect(geocodeLocation(mockPage, 'Williamsburg, Brooklyn')).resolves.toEqual({ lat: 40.7081, lng: -73.9571 });
+			expect(mockPage.goto).toHaveBeenCalledWith(buildLocationUrl('Williamsburg, Brooklyn'));
+		});
+
+		it('should return null when the map never centers', async () => {
+			const mockPage = {
+				goto: jest.fn().mockResolvedValue(undefined),
+				waitForURL: jest.fn().mockRejectedValue(new Error('Timeout')),
+				url: () => 'https://www.google.com/maps/search/nowhere',
+			};
+
+			await expect(geocodeLocation(mockPage, 'nowhere')).resolves.toBeNull();
+		});
+	});
+});
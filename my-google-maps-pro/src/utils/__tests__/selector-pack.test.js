@@ -0,0 +1,96 @@
+import { describe, expect, it } from '@jest/globals';
+
+const {
+	DEFAULT_SELECTOR_PACK,
+	validateSelectorPack,
+	resolveSelectorPack,
+	getSelectorPackLabel,
+	recordFieldYield,
+} = await import('../selector-pack.js');
+
+/**
+ * Tests for Selector Pack Utility
+ */
+describe('Selector Pack', () => {
+	describe('DEFAULT_SELECTOR_PACK', () => {
+		it('should be a valid, versioned pack', () => {
+			expect(() => validateSelectorPack(DEFAULT_SELECTOR_PACK)).not.toThrow();
+			expect(getSelectorPackLabel(DEFAULT_SELECTOR_PACK)).toBe(`default@${DEFAULT_SELECTOR_PACK.version}`);
+		});
+	});
+
+	describe('resolveSelectorPack', () => {
+		it('should return the default pack when no override is given', () => {
+			expect(resolveSelectorPack(undefined)).toBe(DEFAULT_SELECTOR_PACK);
+		});
+
+		it('should replace only the patched fallback chain', () => {
+			const pack = resolveSelectorPack({ place: { fields: { phone: { selectors: ['div.new-phone'] } } } });
+
+			expect(pack.place.fields.phone.selectors).toEqual(['div.new-phone']);
+			expect(pack.place.fields.title).toEqual(DEFAULT_SELECTOR_PACK.place.fields.title);
+			expect(pack.review).toEqual(DEFAULT_SELECTOR_PACK.review);
+			expect(pack.version).toBe(`${DEFAULT_SELECTOR_PACK.version}+patch`);
+		});
+
+		it('should keep the version and name of a named override', () => {
+			const pack = resolveSelectorPack({ name: 'hotfix', version: '2.0.0' });
+			expect(getSelectorPackLabel(pack)).toBe('hotfix@2.0.0');
+		});
+
+		it('should not modify the default pack', () => {
+			resolveSelectorPack({ place: { fields: { title: { selectors: ['h2'] } } } });
+			expect(DEFAULT_SELECTOR_PACK.place.fields.title.selectors).not.toEqual(['h2']);
+		});
+	});
+
+	describe('validateSelectorPack', () => {
+		it('should reject fields without selectors', () => {
+			expect(() => resolveSelectorPack({ place: { fields: { phone: { selectors: [] } } } })).toThrow(
+				'place.phone.selectors must be a non-empty array of strings'
+			);
+		});
+
+		it('should reject invalid patterns', () => {
+			expect(() => resolveSelectorPack({ place: { fields: { rating: { pattern: '(' } } } })).toThrow(
+				'place.rating.pattern is not a valid regular expression'
+			);
+		});
+
+		it('should reject unknown value types', () => {
+			expect(() => resolveSelectorPack({ review: { fields: { rating: { type: 'date' } } } })).toThrow(
+				'review.rating.type must be "integer" or "number"'
+			);
+		});
+
+		it('should reject non-boolean multiple flags', () => {
+			expect(() => resolveSelectorPack({ popularTimes: { fields: { bars: { multiple: 'yes' } } } })).toThrow(
+				'popularTimes.bars.multiple must be a boolean'
+			);
+		});
+
+		it('should reject packs missing a section', () => {
+			const { review: _review, ...pack } = DEFAULT_SELECTOR_PACK;
+			expect(() => validateSelectorPack(pack)).toThrow('review.fields must be an object');
+		});
+
+		it('should accept packs without optional sections but validate them when present', () => {
+			const { hours: _hours, hoursStatus: _hoursStatus, ...pack } = DEFAULT_SELECTOR_PACK;
+			expect(validateSelectorPack(pack)).toBe(pack);
+			expect(() => validateSelectorPack({ ...pack, hours: { container: 'tr' } })).toThrow('hours.fields must be an object');
+			expect(() => validateSelectorPack({ ...DEFAULT_SELECTOR_PACK, hours: { ...DEFAULT_SELECTOR_PACK.hours, expand: 1 } }))
+				.toThrow('hours.expand must be a string');
+			expect(() => resolveSelectorPack({ about: { tab: ['button'] } })).toThrow('about.tab must be a string');
+		});
+	});
+
+	describe('recordFieldYield', () => {
+		it('should count filled fields per pack', () => {
+			let stats = {};
+			stats = recordFieldYield(stats, 'default@1.0.0', { title: 'A', phone: null });
+			stats = recordFieldYield(stats, 'default@1.0.0', { title: 'B', phone: '123' });
+
+			expect(stats['default@1.0.0']).toEqual({ places: 2, fields: { title: 2, phone: 1 } });
+		});
+	});
+});
@@ -0,0 +1,237 @@
+import { createHmac } from 'node:crypto';
+import { createServer } from 'node:http';
+
+import { afterAll, afterEach, beforeAll, describe, expect, it, jest } from '@jest/globals';
+
+const {
+	SIGNATURE_HEADER,
+	WEBHOOK_EVENTS,
+	buildWebhookRequest,
+	normalizeWebhookConfig,
+	postWebhook,
+	sendPlaceBatches,
+	sendWebhooks,
+	signWebhookBody,
+} = await import('../webhooks.js');
+
+const NOW = new Date('2024-06-30T12:00:00.000Z');
+
+/**
+ * Local webhook receiver: records every request and answers with the queued status codes (then 200).
+ * Requests to /slow are never answered.
+ */
+const received = [];
+const statusCodes = [];
+const server = createServer((req, res) => {
+	let body = '';
+	req.on('data', (chunk) => {
+		body += chunk;
+	});
+	req.on('end', () => {
+		received.push({ path: req.url, headers: req.headers, body });
+		if (req.url === '/slow') {
+			return;
+		}
+		res.writeHead(statusCodes.shift() || 200);
+		res.end();
+	});
+});
+let baseUrl;
+
+/**
+ * Tests for Webhook Utility
+ */
+describe('Webhooks', () => {
+	beforeAll(async () => {
+		await new Promise((resolve) => {
+			server.listen(0, '127.0.0.1', resolve);
+		});
+		baseUrl = `http://127.0.0.1:${server.address().port}`;
+	});
+
+	afterEach(() => {
+		received.length = 0;
+		statusCodes.length = 0;
+	});
+
+	afterAll(async () => {
+		server.closeAllConnections();
+		await new Promise((resolve) => {
+			server.close(resolve);
+		});
+	});
+
+	describe('normalizeWebhookConfig', () => {
+		it('should return null without URLs', () => {
+			expect(normalizeWebhookConfig(undefined)).toBeNull();
+			expect(normalizeWebhookConfig({ urls: [' '] })).toBeNull();
+		});
+
+		it('should apply defaults', () => {
+			expect(normalizeWebhookConfig({ urls: [' https://example.com/hook '] })).toEqual({
+				urls: ['https://example.com/hook'],
+				secret: null,
+				batchSize: 1,
+				maxRetries: 3,
+				timeoutSecs: 10,
+			});
+		});
+
+		it('should reject invalid URLs and batch sizes', () => {
+			expect(() => normalizeWebhookConfig({ urls: ['example.com/hook'] })).toThrow('Invalid webhook URL: example.com/hook');
+			expect(() => normalizeWebhookConfig({ urls: ['ftp://example.com/hook'] })).toThrow('Invalid webhook URL');
+			expect(() => normalizeWebhookConfig({ urls: ['https://example.com/hook'], batchSize: 0 })).toThrow('Invalid webhook batch size: 0');
+		});
+	});
+
+	describe('buildWebhookRequest', () => {
+		it('should sign the exact body', () => {
+			const request = buildWebhookRequest(WEBHOOK_EVENTS.PLACES, { items: [{ title: 'Sightglass Coffee' }] }, {
+				secret: 's3cret',
+				deliveryId: 'delivery-1',
+				now: NOW,
+			});
+
+			expect(JSON.parse(request.body)).toEqual({
+				eventType: 'PLACES',
+				deliveryId: 'delivery-1',
+				sentAt: NOW.toISOString(),
+				items: [{ title: 'Sightglass Coffee' }],
+			});
+			expect(request.headers).toEqual({
+				'Content-Type': 'application/json',
+				'X-Webhook-Event': 'PLACES',
+				'X-Webhook-Delivery': 'delivery-1',
+				[SIGNATURE_HEADER]: `sha256=${createHmac('sha256', 's3cret').update(request.body).digest('hex')}`,
+			});
+		});
+
+		it('should leave unsigned requests without a signature header', () => {
+			const { headers } = buildWebhookRequest(WEBHOOK_EVENTS.RUN_SUCCEEDED, { summary: {} });
+			expect(headers[SIGNATURE_HEADER]).toBeUndefined();
+			expect(headers['X-Webhook-Delivery']).toEqual(expect.any(String));
+		});
+	});
+
+	describe('postWebhook', () => {
+		it('should deliver the body and headers', async () => {
+			const request = buildWebhookRequest(WEBHOOK_EVENTS.PLACES, { items: [] }, { secret: 's3cret' });
+			const result = await postWebhook(`${baseUrl}/hook`, request);
+
+			expect(result).toEqual({ url: `${baseUrl}/hook`, ok: true, status: 200, attempts: 1, error: null });
+			expect(received).toHaveLength(1);
+			expect(received[0].body).toBe(request.body);
+			expect(received[0].headers['x-webhook-signature']).toBe(signWebhookBody(received[0].body, 's3cret'));
+		});
+
+		it('should retry 5xx and 429 responses with the same delivery ID', async () => {
+			statusCodes.push(503, 429);
+			const result = await postWebhook(`${baseUrl}/hook`, buildWebhookRequest(WEBHOOK_EVENTS.PLACES, { items: [] }), { retryDelayMillis: 1 });
+
+			expect(result).toMatchObject({ ok: true, status: 200, attempts: 3 });
+			expect(new Set(received.map((entry) => entry.headers['x-webhook-delivery'])).size).toBe(1);
+		});
+
+		it('should not retry other client errors', async () => {
+			statusCodes.push(401);
+			const result = await postWebhook(`${baseUrl}/hook`, buildWebhookRequest(WEBHOOK_EVENTS.PLACES, { items: [] }), { retryDelayMillis: 1 });
+
+			expect(result).toMatchObject({ ok: false, status: 401, attempts: 1, error: 'HTTP 401' });
+		});
+
+		it('should give up after the last retry', async () => {
+			statusCodes.push(500, 500, 500);
+			const result = await postWebhook(`${baseUrl}/hook`, buildWebhookRequest(WEBHOOK_EVENTS.PLACES, { items: [] }), {
+				maxRetries: 2,
+				retryDelayMillis: 1,
+			});
+
+			expect(result).toMatchObject({ ok: false, status: 500, attempts: 3 });
+			expect(received).toHaveLength(3);
+		});
+
+		it('should retry network errors', async () => {
+			const closed = createServer();
+			await new Promise((resolve) => {
+				closed.listen(0, '127.0.0.1', resolve);
+			});
+			const { port } = closed.address();
+			await new Promise((resolve) => {
+				closed.close(resolve);
+			});
+
+			const result = await postWebhook(`http://127.0.0.1:${port}/hook`, buildWebhookRequest(WEBHOOK_EVENTS.PLACES, { items: [] }), {
+				maxRetries: 1,
+				retryDelayMillis: 1,
+			});
+			expect(result).toMatchObject({ ok: false, status: null, attempts: 2 });
+		});
+
+		it('should abort and retry attempts that take too long', async () => {
+			const result = await postWebhook(`${baseUrl}/slow`, buildWebhookRequest(WEBHOOK_EVENTS.PLACES, { items: [] }), {
+				maxRetries: 1,
+				retryDelayMillis: 1,
+				timeoutMillis: 50,
+			});
+
+			expect(result).toMatchObject({ ok: false, status: null, attempts: 2 });
+			expect(result.error).toMatch(/timeout/i);
+			expect(received).toHaveLength(2);
+		});
+	});
+
+	describe('sendWebhooks', () => {
+		it('should post the same signed payload to every endpoint and log failures', async () => {
+			const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+			statusCodes.push(200, 400);
+			const config = normalizeWebhookConfig({ urls: [`${baseUrl}/a`, `${baseUrl}/b`], secret: 's3cret', maxRetries: 0 });
+
+			const results = await sendWebhooks(config, WEBHOOK_EVENTS.RUN_SUCCEEDED, { summary: { placesScraped: 2 } }, { now: NOW });
+
+			expect(results.map((result) => result.ok).sort()).toEqual([false, true]);
+			expect(received.map((entry) => entry.path).sort()).toEqual(['/a', '/b']);
+			expect(received[0].body).toBe(received[1].body);
+			expect(JSON.parse(received[0].body)).toMatchObject({ eventType: 'RUN_SUCCEEDED', sentAt: NOW.toISOString(), summary: { placesScraped: 2 } });
+			expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('failed after 1 attempts: HTTP 400'));
+			consoleError.mockRestore();
+		});
+	});
+
+	describe('sendPlaceBatches', () => {
+		const places = [{ title: 'Sightglass Coffee' }, { title: 'Tartine Bakery' }, { title: 'Blue Bottle Coffee' }];
+
+		it('should send full batches and keep the partial one unless flushing', async () => {
+			const config = normalizeWebhookConfig({ urls: [`${baseUrl}/hook`], batchSize: 2 });
+			const pending = [...places];
+
+			expect(await sendPlaceBatches(config, pending)).toEqual(places.slice(0, 2));
+			expect(pending).toEqual(places.slice(2));
+			expect(received.map((entry) => JSON.parse(entry.body).items.length)).toEqual([2]);
+			expect(await sendPlaceBatches(config, pending, { flush: true })).toEqual(places.slice(2));
+			expect(pending).toEqual([]);
+		});
+
+		it('should stop at the first batch that was not delivered', async () => {
+			const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+			statusCodes.push(200, 400);
+			const config = normalizeWebhookConfig({ urls: [`${baseUrl}/hook`], maxRetries: 0 });
+			const pending = [...places];
+
+			expect(await sendPlaceBatches(config, pending)).toEqual(places.slice(0, 1));
+			expect(pending).toEqual(places.slice(1));
+			expect(received).toHaveLength(2);
+			consoleError.mockRestore();
+		});
+
+		it('should post each batch once when called concurrently', async () => {
+			const config = normalizeWebhookConfig({ urls: [`${baseUrl}/hook`] });
+			const pending = places.slice(0, 2);
+
+			const [first, second] = await Promise.all([sendPlaceBatches(config, pending), sendPlaceBatches(config, pending)]);
+
+			expect([...first, ...second]).toEqual(places.slice(0, 2));
+			expect(pending).toEqual([]);
+			expect(received.map((entry) => JSON.parse(entry.body).items[0].title)).toEqual(['Sightglass Coffee', 'Tartine Bakery']);
+		});
+	});
+});
@@ -0,0 +1,90 @@
+/**
+ * About Tab Utility
+ *
+ * Opens the "About" tab of a place detail page and extracts its attributes, such
+ * as service options, accessibility, amenities, payments and ownership.
+ *
+ * Features:
+ * - Attributes grouped by section ("Service options" → "Dine-in" → true)
+ * - Available and unavailable attributes ("No delivery" → false)
+ * - Returns to the Overview tab afterwards so later extraction steps keep working
+ */
+
+import { DEFAULT_SELECTOR_PACK, extractFields } from './selector-pack.js';
+
+/**
+ * Matches accessibility labels of attributes a place does not offer
+ */
+const UNAVAILABLE_LABEL_REGEX = /^(no|not|doesn't|does not|doesn’t)\b/i;
+
+/**
+ * Builds the grouped attribute map from the About sections read from the page
+ *
+ * Each attribute has a visible name ("Delivery") and an accessibility label
+ * telling whether it is available ("Offers delivery") or not ("No delivery").
+ *
+ * @param {Array<Object>} sections - About sections ({ section, labels, names })
+ * @returns {Object|null} Map of section → attribute → boolean, or null if the tab lists no attributes
+ */
+export function parseAboutAttributes(sections) {
+	const about = {};
+
+	for (const { section, labels = [], names = [] } of sections) {
+		if (!section || labels.length === 0) {
+			continue;
+		}
+		// Names are only reliable when every attribute has one
+		const attributeNames = names.length === labels.length ? names : labels;
+
+		about[section] = {
+			...about[section],
+			...Object.fromEntries(labels.map((label, index) => [
+				attributeNames[index],
+				!UNAVAILABLE_LABEL_REGEX.test(label),
+			])),
+		};
+	}
+
+	return Object.keys(about).length > 0 ? about : null;
+}
+
+/**
+ * Opens the About tab and extracts its attributes
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack to parse with
+ * @param {Object} [options] - Extraction options
+ * @param {number} [options.timeout=5000] - Maximum time to wait for the tab content, in milliseconds
+ * @returns {Promise<Object|null>} Attribute map (see parseAboutAttributes), or null if the place has no About tab
+ */
+export async function extractAboutAttributes(page, selectorPack = DEFAULT_SELECTOR_PACK, options = {}) {
+	const { timeout = 5000 } = options;
+	const { about } = selectorPack;
+	if (!about?.tab) {
+		return null;
+	}
+
+	const tab = await page.$(about.tab);
+	if (!tab) {
+		return null;
+	}
+
+	await tab.click();
+	try {
+		await page.waitForSelector(about.container, { timeout });
+	} catch {
+		console.log('Warning: About tab content did not load');
+	}
+
+	const sections = await page.evaluate(extractFields, about);
+
+	if (about.overviewTab) {
+		const overviewTab = await page.$(about.overviewTab);
+		if (overviewTab) {
+			await overviewTab.click();
+			await page.waitForTimeout(1000);
+		}
+	}
+
+	return parseAboutAttributes(sections);
+}
@@ -0,0 +1,167 @@
+/**
+ * Contributor Reviews Utility
+ *
+ * Scrapes the reviews written by a Google Maps contributor, from the Reviews tab of
+ * their public profile (https://www.google.com/maps/contrib/<id>/reviews).
+ *
+ * Features:
+ * - Contributor profile URLs or bare contributor IDs as input
+ * - Review scrolling and parsing shared with place reviews (review-extractor.js)
+ * - Each review tagged with the place it was written for (title, URL, place ID, CID)
+ * - Rows in the format of the reviews dataset, with the contributor as reviewer
+ */
+
+import { parsePlaceIdentifiers } from './place-input.js';
+import { extractReviewData, scrollAndExtractReviews } from './review-extractor.js';
+import { DEFAULT_SELECTOR_PACK, extractFields } from './selector-pack.js';
+
+/**
+ * Matches contributor IDs (21-digit Google account numbers)
+ */
+const CONTRIBUTOR_ID_REGEX = /^\d{15,25}$/;
+
+/**
+ * Builds the URL of a contributor's Reviews tab
+ *
+ * @param {string} contributorId - Contributor ID
+ * @returns {string} Google Maps URL that opens the contributor's reviews
+ */
+export function buildContributorReviewsUrl(contributorId) {
+	return `https://www.google.com/maps/contrib/${contributorId}/reviews?hl=en`;
+}
+
+/**
+ * Normalizes a single contributor reference
+ *
+ * @param {string|Object} value - Profile URL or contributor ID (or a { url } object)
+ * @returns {Object} Object with contributorId and url (the Reviews tab URL)
+ * @throws {Error} If the value is not a contributor profile
+ */
+export function normalizeContributorInput(value) {
+	const raw = (typeof value === 'object' && value !== null ? value.url : value)?.toString().trim();
+	if (!raw) {
+		throw new Error('Empty contributor reference');
+	}
+
+	if (CONTRIBUTOR_ID_REGEX.test(raw)) {
+		return { contributorId: raw, url: buildContributorReviewsUrl(raw) };
+	}
+
+	if (/^https?:\/\//i.test(raw)) {
+		const url = new URL(raw);
+		const match = url.pathname.match(/\/maps\/contrib\/(\d+)/);
+		if (/(^|\.)google\.[a-z.]+$/.test(url.hostname) && match) {
+			return { contributorId: match[1], url: buildContributorReviewsUrl(match[1]) };
+		}
+	}
+
+	throw new Error(`Not a contributor profile: ${raw}`);
+}
+
+/**
+ * Normalizes all contributor references from the actor input
+ *
+ * @param {Array} [values=[]] - Profile URLs or contributor IDs
+ * @returns {Object} Object with contributors (normalized references) and invalid ({ value, error }) arrays
+ */
+export function normalizeContributorInputs(values = []) {
+	const contributors = [];
+	const invalid = [];
+	const seenIds = new Set();
+
+	for (const value of values) {
+		try {
+			const contributor = normalizeContributorInput(value);
+			if (!seenIds.has(contributor.contributorId)) {
+				seenIds.add(contributor.contributorId);
+				contributors.push(contributor);
+			}
+		} catch (error) {
+			invalid.push({ value, error: error.message });
+		}
+	}
+
+	return { contributors, invalid };
+}
+
+/**
+ * Swaps the contributor review section in as the review section of a pack
+ *
+ * @param {Object} selectorPack - Selector pack
+ * @returns {Object} Pack whose review section reads contributor profile cards
+ * @throws {Error} If the pack has no contributorReview section
+ */
+function toContributorPack(selectorPack) {
+	if (!selectorPack.contributorReview) {
+		throw new Error('Selector pack has no contributorReview section');
+	}
+	return { ...selectorPack, review: selectorPack.contributorReview };
+}
+
+/**
+ * Extracts the reviews currently shown on a contributor profile
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack to parse with
+ * @returns {Promise<Array>} Reviews (see parseReviewRow) with placeTitle, placeUrl and placeAddress
+ */
+export async function extractContributorReviews(page, selectorPack = DEFAULT_SELECTOR_PACK) {
+	return extractReviewData(page, toContributorPack(selectorPack));
+}
+
+/**
+ * Reads the contributor's display name from the profile header
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack to parse with
+ * @returns {Promise<string|null>} Display name, or null if not shown
+ */
+export async function extractContributorName(page, selectorPack = DEFAULT_SELECTOR_PACK) {
+	if (!selectorPack.contributor) {
+		return null;
+	}
+	const { name } = await page.evaluate(extractFields, selectorPack.contributor);
+	return name || null;
+}
+
+/**
+ * Scrolls through a contributor's reviews and extracts them
+ *
+ * Sorting and keyword search are not available on profiles; the other options of
+ * scrollAndExtractReviews() (maxReviews, star range, since, textVersion) apply.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} [options] - Extraction options, as for scrollAndExtractReviews()
+ * @returns {Promise<Array>} Reviews with placeTitle, placeUrl and placeAddress
+ */
+export async function scrollAndExtractContributorReviews(page, options = {}) {
+	const { selectorPack = DEFAULT_SELECTOR_PACK, sort: _sort, keyword: _keyword, ...rest } = options;
+	return scrollAndExtractReviews(page, { ...rest, selectorPack: toContributorPack(selectorPack) });
+}
+
+/**
+ * Turns a contributor's reviews into reviews dataset rows
+ *
+ * @param {Object} contributor - Contributor ({ contributorId, name })
+ * @param {Array<Object>} reviews - Reviews from scrollAndExtractContributorReviews()
+ * @param {string} scrapedAt - Scrape time (ISO string)
+ * @returns {Array<Object>} One row per review, led by the reviewed place, with the contributor
+ *   as author
+ */
+export function flattenContributorReviews(contributor, reviews, scrapedAt) {
+	return reviews.map(({ placeTitle, placeUrl, placeAddress, ...review }) => {
+		const { placeId, cid } = placeUrl ? parsePlaceIdentifiers(placeUrl) : {};
+		return {
+			placeId: placeId || null,
+			cid: cid || null,
+			placeTitle: placeTitle || null,
+			placeUrl: placeUrl?.split('?')[0] || null,
+			placeAddress: placeAddress || null,
+			...review,
+			author: contributor.name || null,
+			reviewerUrl: `https://www.google.com/maps/contrib/${contributor.contributorId}`,
+			reviewerId: contributor.contributorId,
+			scrapedAt,
+		};
+	});
+}
@@ -0,0 +1,118 @@
+/**
+ * Crawl State Utility
+ *
+ * Keeps the progress of a run in persisted actor state, so a run that migrates to
+ * another server or is resurrected after an abort continues where it stopped,
+ * without searching again or pushing the same places twice.
+ *
+ * Features:
+ * - Places found per search request, reused when the request runs again
+ * - Search hits and area place budgets (see search-hits.js and geo-grid.js)
+ * - Completed places and contributors, skipped when their requests run again
+ * - Review rows already written to the reviews dataset, per place whose item is not pushed yet
+ *   (contributor rows are written in one push, right before the contributor is marked completed)
+ * - Places compared with their snapshot in monitoring mode (see place-monitor.js)
+ * - Places waiting for the next webhook batch (see webhooks.js)
+ * - Run start and statistics for the run summary (see run-summary.js)
+ */
+
+import { Actor } from 'apify';
+
+import { createRunStats } from './run-summary.js';
+
+/**
+ * Key of the crawl state in the default key-value store
+ */
+export const CRAWL_STATE_KEY = 'CRAWL_STATE';
+
+/**
+ * Creates the state of a run that has not started yet
+ *
+ * @returns {Object} Crawl state with empty searchResults, searchHits, areaPlaceCounts,
+ *   completedPlaces, completedContributors, writtenReviewRows, monitoredPlaces,
+ *   pendingWebhookPlaces, selectorPackYield, startedAt and runStats
+ */
+export function createCrawlState() {
+	return {
+		searchResults: {},
+		searchHits: {},
+		areaPlaceCounts: {},
+		completedPlaces: {},
+		completedContributors: {},
+		writtenReviewRows: {},
+		monitoredPlaces: {},
+		pendingWebhookPlaces: [],
+		selectorPackYield: {},
+		startedAt: null,
+		runStats: createRunStats(),
+	};
+}
+
+/**
+ * Opens the crawl state, restoring the progress of a migrated or resurrected run
+ *
+ * The returned object is saved automatically on migration and every persist interval;
+ * change it in place rather than replacing it.
+ *
+ * @returns {Promise<Object>} Crawl state (see createCrawlState)
+ */
+export async function openCrawlState() {
+	return Actor.useState(CRAWL_STATE_KEY, createCrawlState());
+}
+
+/**
+ * Saves the crawl state right away (aborted runs get no persist event)
+ *
+ * @param {Object} state - Crawl state from openCrawlState()
+ * @returns {Promise<void>}
+ */
+export async function persistCrawlState(state) {
+	await Actor.setValue(CRAWL_STATE_KEY, state);
+}
+
+/**
+ * Counts the progress recorded in a crawl state
+ *
+ * @param {Object} state - Crawl state
+ * @returns {Object} Object with searches, places and contributors counts
+ */
+export function summarizeCrawlState(state) {
+	return {
+		searches: Object.keys(state.searchResults).length,
+		places: Object.keys(state.completedPlaces).length,
+		contributors: Object.keys(state.completedContributors).length,
+	};
+}
+
+/**
+ * Identifies a reviews dataset row: by review ID, or author + text for packs without one
+ *
+ * @param {Object} row - Reviews dataset row
+ * @returns {string} Row key
+ */
+function getReviewRowKey(row) {
+	return row.reviewId || `${row.author || ''}-${row.text?.substring(0, 50) || ''}`;
+}
+
+/**
+ * Leaves out the reviews dataset rows an earlier attempt already wrote
+ *
+ * @param {Array<Object>} rows - Rows about to be written
+ * @param {Array<string>} [writtenKeys=[]] - Keys of the rows written before (see recordWrittenReviewRows)
+ * @returns {Array<Object>} Rows not written yet
+ */
+export function getUnwrittenReviewRows(rows, writtenKeys = []) {
+	const written = new Set(writtenKeys);
+	return rows.filter((row) => !written.has(getReviewRowKey(row)));
+}
+
+/**
+ * Adds written reviews dataset rows to the keys written before
+ *
+ * @param {Array<string>|undefined} writtenKeys - Keys of the rows written before, if any
+ * @param {Array<Object>} rows - Rows just written
+ * @returns {Array<string>} New list of written row keys
+ */
+export function recordWrittenReviewRows(writtenKeys, rows) {
+	return [...new Set([...(writtenKeys || []), ...rows.map(getReviewRowKey)])];
+}
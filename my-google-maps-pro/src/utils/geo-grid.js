@@ -0,0 +1,294 @@
+/**
+ * Geographic Grid Utility
+ *
+ * Splits a search area into map tiles so a query can be run once per tile.
+ * Google Maps caps a single result feed at roughly 120 places; sweeping a grid of
+ * smaller viewports and merging the results covers a whole city.
+ *
+ * Supported areas:
+ * - Bounding box: { boundingBox: { north, south, east, west } }
+ * - Radius: { center: { lat, lng }, radiusKm }
+ * - GeoJSON: { geojson: Polygon | MultiPolygon | Feature }
+ *
+ * Coordinates in GeoJSON are [lng, lat], as in the GeoJSON specification.
+ */
+
+import { createSearchRequest, DEFAULT_SEARCH_ZOOM } from './search-url.js';
+
+/**
+ * Map area covered by one tile, in screen pixels. Smaller than the browser
+ * viewport because the results panel hides the left part of the map, and so that
+ * neighbouring tiles overlap slightly.
+ */
+const TILE_SIZE_PX = { width: 1000, height: 800 };
+
+/**
+ * Maximum number of tiles per area, to catch zoom levels far too high for the area
+ */
+export const MAX_TILES_PER_AREA = 2000;
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Calculates the great-circle distance between two points
+ *
+ * @param {Object} from - Point with lat and lng
+ * @param {Object} to - Point with lat and lng
+ * @returns {number} Distance in kilometers
+ */
+export function distanceKm(from, to) {
+	const dLat = toRadians(to.lat - from.lat);
+	const dLng = toRadians(to.lng - from.lng);
+	const a = Math.sin(dLat / 2) ** 2
+		+ Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+	return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Checks whether a point lies inside a ring using ray casting
+ *
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @param {Array<Array<number>>} ring - Closed ring of [lng, lat] positions
+ * @returns {boolean} True if the point is inside the ring
+ */
+function isInsideRing(lng, lat, ring) {
+	let inside = false;
+	for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+		const [xi, yi] = ring[i];
+		const [xj, yj] = ring[j];
+		if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+			inside = !inside;
+		}
+	}
+	return inside;
+}
+
+/**
+ * Checks whether a point lies inside a GeoJSON polygon (holes excluded)
+ *
+ * @param {Object} point - Point with lat and lng
+ * @param {Array} polygon - GeoJSON Polygon coordinates (outer ring, then holes)
+ * @returns {boolean} True if the point is inside the polygon
+ */
+export function isPointInPolygon(point, polygon) {
+	const [outer, ...holes] = polygon;
+	return isInsideRing(point.lng, point.lat, outer)
+		&& !holes.some((hole) => isInsideRing(point.lng, point.lat, hole));
+}
+
+/**
+ * Reads the polygons of a GeoJSON geometry or feature
+ *
+ * @param {Object} geojson - GeoJSON Polygon, MultiPolygon or Feature wrapping one
+ * @returns {Array} Array of GeoJSON Polygon coordinates
+ * @throws {Error} If the GeoJSON is not a (multi)polygon
+ */
+function getPolygons(geojson) {
+	const geometry = geojson?.type === 'Feature' ? geojson.geometry : geojson;
+	if (geometry?.type === 'Polygon' && Array.isArray(geometry.coordinates)) {
+		return [geometry.coordinates];
+	}
+	if (geometry?.type === 'MultiPolygon' && Array.isArray(geometry.coordinates)) {
+		return geometry.coordinates;
+	}
+	throw new Error('Invalid area: geojson must be a Polygon, MultiPolygon or a Feature with one of them');
+}
+
+/**
+ * Validates an area definition from the actor input
+ *
+ * @param {Object} area - Area definition
+ * @throws {Error} If the area is malformed
+ */
+export function validateArea(area) {
+	if (area?.boundingBox) {
+		const { north, south, east, west } = area.boundingBox;
+		if ([north, south, east, west].some((value) => typeof value !== 'number')) {
+			throw new Error('Invalid area: boundingBox needs numeric north, south, east and west');
+		}
+		if (north <= south || north > 90 || south < -90) {
+			throw new Error('Invalid area: boundingBox north must be greater than south, within -90 and 90');
+		}
+		if (east <= west || east > 180 || west < -180) {
+			throw new Error('Invalid area: boundingBox east must be greater than west, within -180 and 180');
+		}
+		return;
+	}
+
+	if (area?.center) {
+		const { lat, lng } = area.center;
+		if (typeof lat !== 'number' || typeof lng !== 'number' || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+			throw new Error('Invalid area: center needs a valid lat and lng');
+		}
+		if (typeof area.radiusKm !== 'number' || area.radiusKm <= 0) {
+			throw new Error('Invalid area: radiusKm must be a positive number');
+		}
+		return;
+	}
+
+	if (area?.geojson) {
+		for (const polygon of getPolygons(area.geojson)) {
+			if (!Array.isArray(polygon[0]) || polygon[0].length < 4) {
+				throw new Error('Invalid area: every polygon needs a closed outer ring of at least 4 positions');
+			}
+		}
+		return;
+	}
+
+	throw new Error('Invalid area: set boundingBox, center with radiusKm, or geojson');
+}
+
+/**
+ * Calculates the bounding box of an area
+ *
+ * @param {Object} area - Area definition
+ * @returns {Object} Bounding box with north, south, east and west
+ */
+export function getAreaBoundingBox(area) {
+	if (area.boundingBox) {
+		return { ...area.boundingBox };
+	}
+
+	if (area.center) {
+		const { lat, lng } = area.center;
+		const latDelta = (area.radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+		const lngDelta = latDelta / Math.max(Math.cos(toRadians(lat)), 0.01);
+		return {
+			north: Math.min(lat + latDelta, 90),
+			south: Math.max(lat - latDelta, -90),
+			east: Math.min(lng + lngDelta, 180),
+			west: Math.max(lng - lngDelta, -180),
+		};
+	}
+
+	const positions = getPolygons(area.geojson).flatMap((polygon) => polygon[0]);
+	const lngs = positions.map(([lng]) => lng);
+	const lats = positions.map(([, lat]) => lat);
+	return {
+		north: Math.max(...lats),
+		south: Math.min(...lats),
+		east: Math.max(...lngs),
+		west: Math.min(...lngs),
+	};
+}
+
+/**
+ * Creates a function that tells whether a point lies inside an area
+ *
+ * @param {Object} area - Area definition
+ * @returns {Function} (point) => boolean, where point has lat and lng
+ */
+export function createAreaFilter(area) {
+	if (area.boundingBox) {
+		const { north, south, east, west } = area.boundingBox;
+		return (point) => point.lat <= north && point.lat >= south && point.lng <= east && point.lng >= west;
+	}
+
+	if (area.center) {
+		return (point) => distanceKm(area.center, point) <= area.radiusKm;
+	}
+
+	const polygons = getPolygons(area.geojson);
+	return (point) => polygons.some((polygon) => isPointInPolygon(point, polygon));
+}
+
+/**
+ * Checks whether a tile overlaps an area
+ *
+ * @param {Object} tile - Tile bounds with north, south, east and west
+ * @param {Object} area - Area definition
+ * @param {Function} isInside - Area filter from createAreaFilter()
+ * @returns {boolean} True if the tile touches the area
+ */
+function tileTouchesArea(tile, area, isInside) {
+	const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+	const points = [
+		{ lat: (tile.north + tile.south) / 2, lng: (tile.east + tile.west) / 2 },
+		{ lat: tile.north, lng: tile.west },
+		{ lat: tile.north, lng: tile.east },
+		{ lat: tile.south, lng: tile.west },
+		{ lat: tile.south, lng: tile.east },
+	];
+	if (points.some(isInside)) {
+		return true;
+	}
+
+	// A circle can overlap a tile edge without containing any corner
+	if (area.center) {
+		return isInside({
+			lat: clamp(area.center.lat, tile.south, tile.north),
+			lng: clamp(area.center.lng, tile.west, tile.east),
+		});
+	}
+
+	// A polygon can poke into a tile without containing any corner
+	if (area.geojson) {
+		return getPolygons(area.geojson).some((polygon) => polygon[0].some(([lng, lat]) => (
+			lat <= tile.north && lat >= tile.south && lng <= tile.east && lng >= tile.west
+		)));
+	}
+
+	return false;
+}
+
+/**
+ * Splits an area into map tiles at the given zoom level
+ *
+ * Tiles cover the area's bounding box in rows; tiles that do not touch the area
+ * (e.g. outside a circle or a concave polygon) are left out.
+ *
+ * @param {Object} area - Area definition
+ * @param {number} [zoom=DEFAULT_SEARCH_ZOOM] - Zoom level of each tile
+ * @returns {Array<Object>} Tile viewports with lat, lng and zoom
+ * @throws {Error} If the area needs more than MAX_TILES_PER_AREA tiles
+ */
+export function createTiles(area, zoom = DEFAULT_SEARCH_ZOOM) {
+	const { north, south, east, west } = getAreaBoundingBox(area);
+	const isInside = createAreaFilter(area);
+	// Degrees of longitude per pixel in Web Mercator at this zoom
+	const degreesPerPixel = 360 / (256 * 2 ** zoom);
+	const lngSpan = TILE_SIZE_PX.width * degreesPerPixel;
+	// Latitude spans shrink away from the equator in Web Mercator
+	const latSpanAt = (lat) => TILE_SIZE_PX.height * degreesPerPixel * Math.cos(toRadians(Math.min(Math.abs(lat), 85)));
+
+	const tiles = [];
+	for (let rowSouth = south; rowSouth < north; rowSouth += latSpanAt(rowSouth)) {
+		const latSpan = latSpanAt(rowSouth);
+		for (let colWest = west; colWest < east; colWest += lngSpan) {
+			const tile = { north: rowSouth + latSpan, south: rowSouth, east: colWest + lngSpan, west: colWest };
+			if (tileTouchesArea(tile, area, isInside)) {
+				tiles.push({
+					lat: Number((rowSouth + latSpan / 2).toFixed(6)),
+					lng: Number((colWest + lngSpan / 2).toFixed(6)),
+					zoom,
+				});
+				if (tiles.length > MAX_TILES_PER_AREA) {
+					throw new Error(`Area needs more than ${MAX_TILES_PER_AREA} tiles at zoom ${zoom}. Use a lower zoom or a smaller area.`);
+				}
+			}
+		}
+	}
+
+	return tiles;
+}
+
+/**
+ * Creates one SEARCH request per tile for an area search from the actor input
+ *
+ * @param {Object} search - Search input with an area ({ query, area, zoom? })
+ * @param {number} areaIndex - Index of the search in the input, used to group the tiles
+ * @returns {Array<Object>} Request objects for the crawler
+ * @throws {Error} If the area is invalid or needs too many tiles
+ */
+export function createAreaSearchRequests(search, areaIndex) {
+	validateArea(search.area);
+
+	return createTiles(search.area, search.zoom ?? DEFAULT_SEARCH_ZOOM).map((tile) => {
+		const request = createSearchRequest({ query: search.query, ...tile });
+		request.userData.areaIndex = areaIndex;
+		return request;
+	});
+}
@@ -0,0 +1,288 @@
+/**
+ * Opening Hours Utility
+ *
+ * Extracts the weekly opening hours table and the current open/closed status from
+ * a place detail page and parses them into structured data.
+ *
+ * Features:
+ * - Per-day intervals in 24h time ("07:00"–"19:00")
+ * - Overnight spans ("6 PM–2 AM"), "Open 24 hours" and "Closed" days
+ * - Holiday and special-hours notices
+ * - Current open/closed status with the next opening or closing time
+ */
+
+import { DEFAULT_SELECTOR_PACK, extractFields } from './selector-pack.js';
+
+/**
+ * Weekdays in output order
+ */
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Matches a time of day such as "7", "7:30", "7 AM", "7:30 p.m.", "19:00", "noon" or "midnight"
+ */
+const TIME_REGEX = /^(?:(\d{1,2})(?:[:.](\d{2}))?\s*([ap])?\.?\s*(?:m\.?)?|(noon)|(midnight))$/i;
+
+/**
+ * Separators between the start and end of an interval
+ */
+const RANGE_SEPARATOR = /\s*(?:–|—|-|\bto\b)\s*/i;
+
+/**
+ * Normalizes the special spaces Google Maps puts in times ("7\u202fAM"). Line breaks are kept.
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Text with plain spaces, trimmed
+ */
+function normalizeSpaces(text) {
+	return text.replace(/[\u00a0\u2009\u202f]/g, ' ').replace(/[ \t]+/g, ' ').trim();
+}
+
+/**
+ * Parses a time of day into minutes since midnight
+ *
+ * @param {string} text - Time such as "7 AM", "7:30 PM", "19:00" or "noon"
+ * @param {string} [defaultMeridiem] - 'a' or 'p' for times without AM/PM, e.g. the "5" in "5–10 PM"
+ * @returns {number|null} Minutes since midnight, or null if the text is not a time
+ */
+function parseMinutes(text, defaultMeridiem) {
+	const match = normalizeSpaces(text).match(TIME_REGEX);
+	if (!match) {
+		return null;
+	}
+	if (match[4]) {
+		return 12 * 60;
+	}
+	if (match[5]) {
+		return 0;
+	}
+
+	let hours = parseInt(match[1], 10);
+	const minutes = match[2] ? parseInt(match[2], 10) : 0;
+	const meridiem = match[3]?.toLowerCase() || defaultMeridiem;
+	if (hours > 24 || minutes > 59 || (meridiem && hours > 12)) {
+		return null;
+	}
+	if (meridiem) {
+		hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+	}
+	return hours * 60 + minutes;
+}
+
+/**
+ * Formats minutes since midnight as 24h time
+ *
+ * @param {number} minutes - Minutes since midnight (0-1440)
+ * @returns {string} Time such as "07:00" or "24:00"
+ */
+function formatMinutes(minutes) {
+	const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+	return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Reads the AM/PM marker of a time, if any
+ *
+ * @param {string} text - Time text
+ * @returns {string|undefined} 'a', 'p' or undefined
+ */
+function getMeridiem(text) {
+	return normalizeSpaces(text).match(TIME_REGEX)?.[3]?.toLowerCase();
+}
+
+/**
+ * Parses a time of day into 24h time
+ *
+ * @param {string} text - Time such as "7 AM", "7:30 PM", "19:00", "noon" or "midnight"
+ * @returns {string|null} Time such as "19:30", or null if the text is not a time
+ */
+export function parseTimeOfDay(text) {
+	const minutes = text ? parseMinutes(text) : null;
+	return minutes === null ? null : formatMinutes(minutes);
+}
+
+/**
+ * Parses one interval such as "7 AM–7 PM", "5–10 PM" or "6 PM to 2 AM"
+ *
+ * @param {string} text - Interval text
+ * @returns {Object|null} Object with open, close and overnight, or null if unparseable
+ */
+function parseInterval(text) {
+	const parts = text.split(RANGE_SEPARATOR);
+	if (parts.length !== 2) {
+		return null;
+	}
+
+	const [startText, endText] = parts;
+	const endMeridiem = getMeridiem(endText);
+	let open = parseMinutes(startText, getMeridiem(startText) ? undefined : endMeridiem);
+	const close = parseMinutes(endText);
+	if (open === null || close === null) {
+		return null;
+	}
+
+	// "11–2 PM" means 11 AM to 2 PM, not 11 PM to 2 PM
+	if (!getMeridiem(startText) && endMeridiem && open > close) {
+		open = parseMinutes(startText, endMeridiem === 'p' ? 'a' : 'p');
+	}
+
+	// Closing at midnight is the end of the day, not its start
+	const closeMinutes = close === 0 && open !== 0 ? 24 * 60 : close;
+	return {
+		open: formatMinutes(open),
+		close: formatMinutes(closeMinutes),
+		overnight: closeMinutes <= open,
+	};
+}
+
+/**
+ * Parses the hours of one day
+ *
+ * @param {string} text - Hours text such as "7 AM–7 PM", "11 AM–2 PM, 5–10 PM",
+ *   "Open 24 hours" or "Closed"
+ * @returns {Object} Object with intervals, open24Hours and closed
+ */
+export function parseDayHours(text) {
+	const normalized = normalizeSpaces(text || '');
+
+	if (/open 24 hours/i.test(normalized)) {
+		return {
+			intervals: [{ open: '00:00', close: '24:00', overnight: false }],
+			open24Hours: true,
+			closed: false,
+		};
+	}
+	if (/^closed\b/i.test(normalized)) {
+		return { intervals: [], open24Hours: false, closed: true };
+	}
+
+	const intervals = normalized
+		.split(/\s*[,;\n]\s*/)
+		.map(parseInterval)
+		.filter(Boolean);
+
+	return { intervals, open24Hours: false, closed: false };
+}
+
+/**
+ * Reads the time and optional day after "Opens" or "Closes" in a status text
+ *
+ * @param {string} text - Text such as "7 AM Mon" or "19:00"
+ * @returns {Object|null} Object with time and day, or null if the text has no time
+ */
+function parseStatusTime(text) {
+	const match = text.match(/^(\d{1,2}(?:[:.]\d{2})?\s*(?:[ap]\.?m\.?)?|noon|midnight)\s*(.*)$/i);
+	const time = match ? parseTimeOfDay(match[1]) : null;
+	return time ? { time, day: match[2] || null } : null;
+}
+
+/**
+ * Parses the open/closed status shown under the place title
+ *
+ * @param {string} text - Status such as "Open · Closes 7 PM", "Closed · Opens 7 AM Mon",
+ *   "Closes soon · 7 PM", "Open 24 hours" or "Permanently closed"
+ * @returns {Object|null} Object with text, isOpen and nextChange ({ action, time, day }), or null
+ */
+export function parseOpenStatus(text) {
+	const normalized = normalizeSpaces(text || '').replace(/\s*\n\s*/g, ' ');
+	if (!normalized) {
+		return null;
+	}
+
+	const parts = normalized.split(/\s*[·⋅•]\s*/);
+	let isOpen = null;
+	if (/^(open\b|closes soon)/i.test(parts[0])) {
+		isOpen = true;
+	} else if (/^(closed|opens soon|temporarily closed|permanently closed)/i.test(parts[0])) {
+		isOpen = false;
+	}
+
+	let nextChange = null;
+	parts.forEach((part, index) => {
+		const match = part.match(/^(opens|closes)(?: soon)?\s*(.*)$/i);
+		if (!match || nextChange) {
+			return;
+		}
+		// "Closes soon · 7 PM" puts the time in the next part
+		const change = parseStatusTime(match[2]) || parseStatusTime(parts[index + 1] || '');
+		if (change) {
+			nextChange = { action: match[1].toLowerCase(), ...change };
+		}
+	});
+
+	return { text: normalized, isOpen, nextChange };
+}
+
+/**
+ * Builds structured opening hours from the raw values read from the page
+ *
+ * @param {Object} raw - Raw values
+ * @param {Array<Object>} [raw.rows=[]] - Hours table rows ({ day, holiday, hours, note })
+ * @param {string|null} [raw.status] - Open/closed status text
+ * @param {string|null} [raw.notice] - Special hours notice text
+ * @returns {Object|null} Object with days, status and specialHoursNotice, or null if the page shows no hours
+ */
+export function parseOpeningHours({ rows = [], status = null, notice = null }) {
+	const days = rows
+		.filter((row) => row.day && row.hours)
+		.map((row) => {
+			const holiday = row.holiday ? normalizeSpaces(row.holiday).replace(/^\((.*)\)$/, '$1') : null;
+			const note = row.note ? normalizeSpaces(row.note) : null;
+			// Without an aria-label the cell text also contains the note, one interval per line
+			const hours = normalizeSpaces(row.hours.replace(row.note || '', ''))
+				.split(/\s*\n\s*/)
+				.filter(Boolean)
+				.join(', ');
+			return {
+				day: normalizeSpaces(row.day),
+				hours,
+				...parseDayHours(hours),
+				specialHours: holiday || note ? { holiday, note } : null,
+			};
+		});
+
+	// Google starts the table at today; list the week from Monday instead
+	const dayIndex = (day) => WEEKDAYS.findIndex((name) => name.toLowerCase() === day.day.toLowerCase());
+	if (days.every((day) => dayIndex(day) !== -1)) {
+		days.sort((a, b) => dayIndex(a) - dayIndex(b));
+	}
+
+	const openStatus = parseOpenStatus(status);
+	if (days.length === 0 && !openStatus) {
+		return null;
+	}
+
+	return {
+		days,
+		status: openStatus,
+		specialHoursNotice: notice ? normalizeSpaces(notice).replace(/\s*\n\s*/g, ' ') : null,
+	};
+}
+
+/**
+ * Extracts the opening hours and open/closed status from a place detail page
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack to parse with
+ * @returns {Promise<Object|null>} Structured opening hours (see parseOpeningHours), or null
+ */
+export async function extractOpeningHours(page, selectorPack = DEFAULT_SELECTOR_PACK) {
+	if (!selectorPack.hours || !selectorPack.hoursStatus) {
+		return null;
+	}
+
+	let rows = await page.evaluate(extractFields, selectorPack.hours);
+
+	// Some layouts only render the table after the hours dropdown is opened
+	if (rows.length === 0 && selectorPack.hours.expand) {
+		const toggle = await page.$(selectorPack.hours.expand);
+		if (toggle) {
+			await toggle.click();
+			await page.waitForTimeout(500);
+			rows = await page.evaluate(extractFields, selectorPack.hours);
+		}
+	}
+
+	const { status, notice } = await page.evaluate(extractFields, selectorPack.hoursStatus);
+	return parseOpeningHours({ rows, status, notice });
+}
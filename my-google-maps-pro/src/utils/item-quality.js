@@ -0,0 +1,289 @@
+/**
+ * Item Quality Utility
+ *
+ * Normalizes place items before they are pushed and validates them against the
+ * dataset schema (.actor/dataset_schema.json). Problems are listed in the item's
+ * qualityIssues instead of being pushed silently.
+ *
+ * Features:
+ * - Numeric ratings and integer review counts from text such as "4,5" or "(1,234)"
+ * - Website URLs unwrapped from Google /url?q= redirects
+ * - Phone numbers cleaned of icon glyphs and labels, plus their bare digits
+ * - Validation of types, enums, formats, patterns and ranges of the schema, nested fields included
+ */
+
+import { readFileSync } from 'node:fs';
+
+/**
+ * Dataset schema the items are validated against
+ */
+export const DATASET_SCHEMA = JSON.parse(
+	readFileSync(new URL('../../.actor/dataset_schema.json', import.meta.url), 'utf-8')
+).fields;
+
+/**
+ * Codes of quality issues
+ */
+export const QUALITY_ISSUE_CODES = {
+	MISSING: 'MISSING',
+	UNPARSEABLE: 'UNPARSEABLE',
+	INVALID_TYPE: 'INVALID_TYPE',
+	INVALID_VALUE: 'INVALID_VALUE',
+	INVALID_FORMAT: 'INVALID_FORMAT',
+	OUT_OF_RANGE: 'OUT_OF_RANGE',
+};
+
+/**
+ * Cleans a text field: drops icon glyphs (private use characters), collapses whitespace
+ *
+ * @param {*} value - Raw value
+ * @returns {string|null} Clean text, or null if empty
+ */
+export function cleanText(value) {
+	if (typeof value !== 'string') {
+		return value ?? null;
+	}
+	const text = value.replace(/[\uE000-\uF8FF]/g, '').replace(/\s+/g, ' ').trim();
+	return text || null;
+}
+
+/**
+ * Parses a rating
+ *
+ * @param {*} value - Rating as a number or text ("4.5", "4,5", "Rated 4.5 out of 5")
+ * @returns {number|null|undefined} Rating, null without one, or undefined if the text has no number
+ */
+export function parseRating(value) {
+	if (typeof value === 'number' || value === null || value === undefined) {
+		return value ?? null;
+	}
+	const text = cleanText(String(value));
+	if (!text) {
+		return null;
+	}
+	const match = text.match(/\d+(?:[.,]\d+)?/);
+	return match ? parseFloat(match[0].replace(',', '.')) : undefined;
+}
+
+/**
+ * Parses a review count
+ *
+ * @param {*} value - Count as a number or text ("(1,234)", "1.234 reviews", "2.1K")
+ * @returns {number|null|undefined} Count, null without one, or undefined if the text has no number
+ */
+export function parseReviewCount(value) {
+	if (typeof value === 'number' || value === null || value === undefined) {
+		return value ?? null;
+	}
+	const text = cleanText(String(value));
+	if (!text) {
+		return null;
+	}
+
+	const compact = text.match(/(\d+(?:[.,]\d+)?)\s*([KM])\b/i);
+	if (compact) {
+		const multiplier = compact[2].toUpperCase() === 'K' ? 1000 : 1000000;
+		return Math.round(parseFloat(compact[1].replace(',', '.')) * multiplier);
+	}
+
+	// Thousands separators differ by language (1,234 / 1.234 / 1 234)
+	const match = text.match(/\d[\d.,\s]*/);
+	return match ? parseInt(match[0].replace(/\D/g, ''), 10) : undefined;
+}
+
+/**
+ * Unwraps Google redirect links ("https://www.google.com/url?q=https://example.com/&sa=...")
+ *
+ * @param {*} value - Link, absolute or relative to google.com
+ * @returns {string|null} Target URL, the link itself if it is no redirect, or null if empty
+ */
+export function unwrapRedirectUrl(value) {
+	const text = cleanText(value);
+	if (!text) {
+		return null;
+	}
+
+	let url;
+	try {
+		url = new URL(text, 'https://www.google.com');
+	} catch {
+		return text;
+	}
+	const isGoogle = /(^|\.)google\.[a-z.]+$/.test(url.hostname);
+	const target = url.searchParams.get('q') || url.searchParams.get('url');
+	if (isGoogle && url.pathname === '/url' && target) {
+		return target;
+	}
+	return text;
+}
+
+/**
+ * Cleans a phone number shown on a button ("Phone: (415) 861-1313", with an icon glyph in front)
+ *
+ * @param {*} value - Raw phone text
+ * @returns {Object} Object with phone (clean text) and phoneUnformatted (digits, + for international
+ *   numbers), both null without a phone
+ */
+export function normalizePhone(value) {
+	const phone = cleanText(value)?.replace(/^phone(?: number)?:?\s*/i, '') || null;
+	if (!phone) {
+		return { phone: null, phoneUnformatted: null };
+	}
+	const digits = phone.replace(/\D/g, '');
+	return {
+		phone,
+		phoneUnformatted: digits ? `${phone.startsWith('+') ? '+' : ''}${digits}` : null,
+	};
+}
+
+/**
+ * Normalizes the scraped fields of a place item
+ *
+ * @param {Object} place - Place item as scraped
+ * @returns {Object} Object with item (the normalized copy) and issues (values that could not be parsed)
+ */
+export function normalizePlaceItem(place) {
+	const issues = [];
+	const parse = (field, parser) => {
+		const value = parser(place[field]);
+		if (value === undefined) {
+			issues.push({
+				field,
+				code: QUALITY_ISSUE_CODES.UNPARSEABLE,
+				message: `Could not read a number from ${JSON.stringify(place[field])}`,
+			});
+			return null;
+		}
+		return value;
+	};
+
+	const item = {
+		...place,
+		title: cleanText(place.title),
+		address: cleanText(place.address),
+		...normalizePhone(place.phone),
+		website: unwrapRedirectUrl(place.website),
+		rating: parse('rating', parseRating),
+		reviewCount: parse('reviewCount', parseReviewCount),
+	};
+	if (Array.isArray(place.categories)) {
+		item.categories = [...new Set(place.categories.map(cleanText).filter(Boolean))];
+		item.category = item.categories[0] || null;
+	}
+
+	return { item, issues };
+}
+
+/**
+ * Names the JSON type of a value
+ *
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function getJsonType(value) {
+	if (value === null) {
+		return 'null';
+	}
+	if (Array.isArray(value)) {
+		return 'array';
+	}
+	if (typeof value === 'number') {
+		return Number.isInteger(value) ? 'integer' : 'number';
+	}
+	return typeof value;
+}
+
+/**
+ * Checks a string against a schema format
+ *
+ * @param {string} value - String value
+ * @param {string} format - Format (uri, date-time or email; others pass)
+ * @returns {boolean} Whether the value has the format
+ */
+function matchesFormat(value, format) {
+	if (format === 'uri') {
+		try {
+			return ['http:', 'https:'].includes(new URL(value).protocol);
+		} catch {
+			return false;
+		}
+	}
+	if (format === 'date-time') {
+		return /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value));
+	}
+	if (format === 'email') {
+		return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+	}
+	return true;
+}
+
+/**
+ * Validates a value against a (sub)schema
+ *
+ * Supports the keywords the dataset schema uses: type, enum, format, pattern, minimum,
+ * maximum, properties, items and additionalProperties. Missing (undefined) fields pass.
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} [path=''] - Path of the value, used in the issues
+ * @returns {Array<Object>} Quality issues ({ field, code, message })
+ */
+export function validateValue(value, schema, path = '') {
+	if (value === undefined || !schema) {
+		return [];
+	}
+
+	const field = path || '(item)';
+	const types = [].concat(schema.type || []);
+	const type = getJsonType(value);
+	const typeMatches = types.length === 0 || types.some((expected) => expected === type || (expected === 'number' && type === 'integer'));
+	if (!typeMatches) {
+		return [value === null
+			? { field, code: QUALITY_ISSUE_CODES.MISSING, message: `Expected ${types.join(' or ')}, got null` }
+			: { field, code: QUALITY_ISSUE_CODES.INVALID_TYPE, message: `Expected ${types.join(' or ')}, got ${type}` }];
+	}
+	if (value === null) {
+		return [];
+	}
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		return [{ field, code: QUALITY_ISSUE_CODES.INVALID_VALUE, message: `${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}` }];
+	}
+	if (typeof value === 'number'
+		&& ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum))) {
+		return [{ field, code: QUALITY_ISSUE_CODES.OUT_OF_RANGE, message: `${value} is outside ${schema.minimum ?? '-∞'}..${schema.maximum ?? '∞'}` }];
+	}
+	if (typeof value === 'string'
+		&& ((schema.format && !matchesFormat(value, schema.format)) || (schema.pattern && !new RegExp(schema.pattern).test(value)))) {
+		return [{ field, code: QUALITY_ISSUE_CODES.INVALID_FORMAT, message: `${JSON.stringify(value)} is not a valid ${schema.format || 'value'}` }];
+	}
+
+	if (type === 'array') {
+		return value.flatMap((entry, index) => validateValue(entry, schema.items, `${path}[${index}]`));
+	}
+	if (type === 'object') {
+		const properties = schema.properties || {};
+		const additional = typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null;
+		return Object.entries(value).flatMap(([key, entry]) => validateValue(
+			entry,
+			properties[key] || additional,
+			path ? `${path}.${key}` : key,
+		));
+	}
+	return [];
+}
+
+/**
+ * Normalizes a place item and lists its quality issues
+ *
+ * @param {Object} place - Place item as scraped
+ * @param {Object} [schema=DATASET_SCHEMA] - Schema to validate against
+ * @returns {Object} Normalized item with qualityIssues (empty for clean items)
+ */
+export function preparePlaceItem(place, schema = DATASET_SCHEMA) {
+	const { item, issues } = normalizePlaceItem(place);
+	return {
+		...item,
+		qualityIssues: [...issues, ...validateValue(item, schema)],
+	};
+}
@@ -0,0 +1,228 @@
+/**
+ * Direct Place Input Utility
+ *
+ * Normalizes place references given directly in the actor input into Google Maps
+ * URLs that can be enqueued straight to the DETAIL handler, skipping the search step.
+ *
+ * Supported inputs:
+ * - Full place URLs (https://www.google.com/maps/place/...)
+ * - Google place IDs (ChIJ...)
+ * - CIDs (decimal customer IDs, also as ?cid= URLs)
+ * - Feature IDs (0x...:0x..., as found in place URLs)
+ * - Short links (https://maps.app.goo.gl/..., https://goo.gl/maps/...)
+ *
+ * Place URLs open with the English interface (hl=en), like search URLs.
+ */
+
+/**
+ * Hosts of Google Maps short links, resolved by the browser when loaded
+ */
+const SHORT_LINK_HOSTS = new Set(['maps.app.goo.gl', 'goo.gl']);
+
+/**
+ * Matches Google place IDs (ChIJ... for most places, Gh/Ei/Eh for some others)
+ */
+const PLACE_ID_REGEX = /^(ChIJ|GhIJ|EiI|EhI)[\w-]{10,}$/;
+
+/**
+ * Matches feature IDs, whose second half is the hexadecimal CID
+ */
+const FEATURE_ID_REGEX = /^0x[\da-f]+:0x([\da-f]+)$/i;
+
+/**
+ * Builds the canonical URL for a Google place ID
+ *
+ * @param {string} placeId - Google place ID
+ * @returns {string} Google Maps URL that opens the place
+ */
+export function buildPlaceIdUrl(placeId) {
+	return `https://www.google.com/maps/place/?q=place_id:${placeId}&hl=en`;
+}
+
+/**
+ * Builds the canonical URL for a CID
+ *
+ * @param {string} cid - Decimal CID
+ * @returns {string} Google Maps URL that opens the place
+ */
+export function buildCidUrl(cid) {
+	return `https://maps.google.com/?cid=${cid}&hl=en`;
+}
+
+/**
+ * Checks whether a hostname belongs to Google (google.com, google.de, maps.google.co.uk, ...)
+ *
+ * @param {string} hostname - URL hostname
+ * @returns {boolean} True for Google hosts
+ */
+function isGoogleHost(hostname) {
+	return /(^|\.)google\.[a-z.]+$/i.test(hostname);
+}
+
+/**
+ * Normalizes a Google Maps URL
+ *
+ * @param {URL} url - Parsed URL
+ * @returns {Object} Normalized place reference
+ * @throws {Error} If the URL is not a Google Maps place URL
+ */
+function normalizePlaceUrl(url) {
+	if (SHORT_LINK_HOSTS.has(url.hostname)) {
+		if (url.hostname !== 'maps.app.goo.gl' && !url.pathname.startsWith('/maps')) {
+			throw new Error(`Unsupported short link: ${url.href}`);
+		}
+		return { url: url.href, type: 'shortLink' };
+	}
+
+	if (!isGoogleHost(url.hostname)) {
+		throw new Error(`Not a Google Maps URL: ${url.href}`);
+	}
+
+	const cid = url.searchParams.get('cid');
+	if (cid && /^\d+$/.test(cid)) {
+		return { url: buildCidUrl(cid), type: 'cid', cid };
+	}
+
+	// Maps URLs API links (/maps/search/?api=1&query=...&query_place_id=ChIJ...)
+	const queryPlaceId = url.searchParams.get('query_place_id');
+	if (queryPlaceId) {
+		return { url: buildPlaceIdUrl(queryPlaceId), type: 'placeId', placeId: queryPlaceId };
+	}
+
+	const placeIdMatch = `${url.pathname}${url.search}`.match(/place_id:([\w-]+)/);
+	if (placeIdMatch) {
+		return { url: buildPlaceIdUrl(placeIdMatch[1]), type: 'placeId', placeId: placeIdMatch[1] };
+	}
+
+	if (url.pathname.includes('/maps/place/')) {
+		// Drop session parameters (authuser, entry, g_ep, ...) and the UI language
+		return {
+			url: `${url.origin}${url.pathname}?hl=en`,
+			type: 'url',
+		};
+	}
+
+	throw new Error(`Not a Google Maps place URL: ${url.href}`);
+}
+
+/**
+ * Normalizes a single direct place reference
+ *
+ * @param {string|Object} value - URL, place ID, CID or feature ID (or a { url } object)
+ * @returns {Object} Object with url, type ('url', 'shortLink', 'placeId' or 'cid') and placeId/cid when known
+ * @throws {Error} If the value is not a recognized place reference
+ */
+export function normalizePlaceInput(value) {
+	const raw = (typeof value === 'object' && value !== null ? value.url : value)?.toString().trim();
+	if (!raw) {
+		throw new Error('Empty place reference');
+	}
+
+	if (/^https?:\/\//i.test(raw)) {
+		return normalizePlaceUrl(new URL(raw));
+	}
+
+	if (PLACE_ID_REGEX.test(raw)) {
+		return { url: buildPlaceIdUrl(raw), type: 'placeId', placeId: raw };
+	}
+
+	if (/^\d{5,20}$/.test(raw)) {
+		return { url: buildCidUrl(raw), type: 'cid', cid: raw };
+	}
+
+	const featureMatch = raw.match(FEATURE_ID_REGEX);
+	if (featureMatch) {
+		const cid = BigInt(`0x${featureMatch[1]}`).toString();
+		return { url: buildCidUrl(cid), type: 'cid', cid };
+	}
+
+	throw new Error(`Unrecognized place reference: ${raw}`);
+}
+
+/**
+ * Normalizes all direct place references from the actor input
+ *
+ * Invalid entries are reported instead of failing the whole run, and references
+ * resolving to the same URL are only returned once.
+ *
+ * @param {Array} [startUrls=[]] - Place URLs (strings or { url } objects)
+ * @param {Array<string>} [placeIds=[]] - Place IDs, CIDs or feature IDs
+ * @returns {Object} Object with places (normalized references) and invalid ({ value, error }) arrays
+ */
+export function normalizePlaceInputs(startUrls = [], placeIds = []) {
+	const places = [];
+	const invalid = [];
+	const seenUrls = new Set();
+
+	for (const value of [...startUrls, ...placeIds]) {
+		try {
+			const place = normalizePlaceInput(value);
+			if (!seenUrls.has(place.url)) {
+				seenUrls.add(place.url);
+				places.push(place);
+			}
+		} catch (error) {
+			invalid.push({ value, error: error.message });
+		}
+	}
+
+	return { places, invalid };
+}
+
+/**
+ * Reads the identifiers of a place from a Google Maps URL
+ *
+ * Place URLs carry the feature ID (!1s0x...:0x...), whose second half is the
+ * hexadecimal CID, and often the place ID (!19sChIJ...).
+ *
+ * @param {string} url - Google Maps place URL
+ * @returns {Object} Object with featureId, cid and placeId (null when not in the URL)
+ */
+export function parsePlaceIdentifiers(url) {
+	const featureMatch = url.match(/!1s(0x[\da-f]+)(?::|%3A)(0x[\da-f]+)/i);
+	const featureId = featureMatch ? `${featureMatch[1]}:${featureMatch[2]}`.toLowerCase() : null;
+	const cidMatch = url.match(/[?&]cid=(\d+)/);
+	const placeIdMatch = url.match(/(?:!19s|place_id:|query_place_id=)((?:ChIJ|GhIJ|EiI|EhI)[\w-]+)/);
+
+	let cid = cidMatch?.[1] || null;
+	if (!cid && featureMatch) {
+		cid = BigInt(featureMatch[2]).toString();
+	}
+
+	return { featureId, cid, placeId: placeIdMatch?.[1] || null };
+}
+
+/**
+ * Reads the coordinates of a place from a Google Maps place URL
+ *
+ * Place URLs, including the result links of a search, carry them as !3d<lat>!4d<lng>.
+ *
+ * @param {string} url - Google Maps place URL
+ * @returns {Object|null} Object with lat and lng, or null when not in the URL
+ */
+export function parsePlaceCoordinates(url) {
+	const match = url.match(/!8m2!3d([-\d.]+)!4d([-\d.]+)/);
+	return match ? { lat: parseFloat(match[1]), lng: parseFloat(match[2]) } : null;
+}
+
+/**
+ * Derives a stable key for a place from its Google Maps URL
+ *
+ * Result links for the same place differ in query parameters and viewport, so the
+ * CID is used when present, read from ?cid= or from the feature ID (0x...:0x...).
+ * Search results, ?cid= URLs and feature ID inputs of one place thus share a key.
+ * Place ID URLs carry no CID and fall back to the place ID.
+ *
+ * @param {string} url - Google Maps place URL
+ * @returns {string} Place key
+ */
+export function getPlaceKey(url) {
+	const { cid, placeId } = parsePlaceIdentifiers(url);
+	if (cid) {
+		return `cid:${cid}`;
+	}
+	if (placeId) {
+		return `place_id:${placeId}`;
+	}
+	return url.split('?')[0];
+}
@@ -0,0 +1,212 @@
+/**
+ * Place Monitor Utility
+ *
+ * Compares each scraped place with its snapshot from the previous run, kept in a
+ * named key-value store, and turns the differences into change events for a
+ * dedicated changes dataset. Meant for the same searches scheduled repeatedly.
+ *
+ * Features:
+ * - One snapshot per place, keyed by CID, place ID or feature ID
+ * - New places and rating, review count, phone, website, address and hours changes
+ * - Places that became permanently closed
+ * - Places found by the previous run but not by this one
+ */
+
+import { Actor } from 'apify';
+
+import { BUSINESS_STATUS } from './place-parser.js';
+import { getWatermarkKey } from './review-watermark.js';
+
+/**
+ * Name of the key-value store place snapshots are kept in, shared across runs
+ */
+export const DEFAULT_SNAPSHOT_STORE_NAME = 'google-maps-place-snapshots';
+
+/**
+ * Name of the dataset change events are written to
+ */
+export const DEFAULT_CHANGES_DATASET_NAME = 'google-maps-place-changes';
+
+/**
+ * Key of the record listing the places of the previous run
+ */
+export const SNAPSHOT_INDEX_KEY = 'MONITORED_PLACES';
+
+/**
+ * Kinds of change events
+ */
+export const CHANGE_TYPES = {
+	NEW_PLACE: 'NEW_PLACE',
+	DISAPPEARED: 'DISAPPEARED',
+	RATING_CHANGED: 'RATING_CHANGED',
+	REVIEW_COUNT_CHANGED: 'REVIEW_COUNT_CHANGED',
+	PHONE_CHANGED: 'PHONE_CHANGED',
+	WEBSITE_CHANGED: 'WEBSITE_CHANGED',
+	ADDRESS_CHANGED: 'ADDRESS_CHANGED',
+	HOURS_CHANGED: 'HOURS_CHANGED',
+	PERMANENTLY_CLOSED: 'PERMANENTLY_CLOSED',
+};
+
+/**
+ * Snapshot fields compared between runs, with the change they report
+ */
+const MONITORED_FIELDS = [
+	{ field: 'rating', changeType: CHANGE_TYPES.RATING_CHANGED },
+	{ field: 'reviewCount', changeType: CHANGE_TYPES.REVIEW_COUNT_CHANGED },
+	{ field: 'phone', changeType: CHANGE_TYPES.PHONE_CHANGED },
+	{ field: 'website', changeType: CHANGE_TYPES.WEBSITE_CHANGED },
+	{ field: 'address', changeType: CHANGE_TYPES.ADDRESS_CHANGED },
+	{ field: 'hours', changeType: CHANGE_TYPES.HOURS_CHANGED },
+];
+
+/**
+ * Opens the named key-value store holding the place snapshots
+ *
+ * @param {string} [name=DEFAULT_SNAPSHOT_STORE_NAME] - Store name
+ * @returns {Promise<Object>} Key-value store
+ */
+export async function openSnapshotStore(name = DEFAULT_SNAPSHOT_STORE_NAME) {
+	return Actor.openKeyValueStore(name);
+}
+
+/**
+ * Opens the named dataset for change events
+ *
+ * @param {string} [name=DEFAULT_CHANGES_DATASET_NAME] - Dataset name
+ * @returns {Promise<Object>} Dataset
+ */
+export async function openChangesDataset(name = DEFAULT_CHANGES_DATASET_NAME) {
+	return Actor.openDataset(name);
+}
+
+/**
+ * Derives the key-value store key of a place's snapshot
+ *
+ * @param {Object} place - Place data with cid, placeId and url
+ * @returns {string} Store key (see getWatermarkKey)
+ */
+export function getSnapshotKey(place) {
+	return getWatermarkKey(place);
+}
+
+/**
+ * Reduces a place item to the fields compared between runs
+ *
+ * @param {Object} place - Place data
+ * @returns {Object} Snapshot with identifiers, title, url, the monitored fields,
+ *   businessStatus and seenAt. hours lists the weekly hours as "Day: hours" lines.
+ */
+export function createPlaceSnapshot(place) {
+	return {
+		placeId: place.placeId || null,
+		cid: place.cid || null,
+		title: place.title || null,
+		url: place.url || null,
+		rating: place.rating ?? null,
+		reviewCount: place.reviewCount ?? null,
+		phone: place.phone || null,
+		website: place.website || null,
+		address: place.address || null,
+		hours: place.openingHours?.days?.map((day) => `${day.day}: ${day.hours}`) || null,
+		businessStatus: place.businessStatus || null,
+		seenAt: place.scrapedAt,
+	};
+}
+
+/**
+ * Builds a change event row
+ *
+ * @param {string} changeType - One of CHANGE_TYPES
+ * @param {Object} snapshot - Snapshot identifying the place (current, or previous for disappeared places)
+ * @param {Object|null} previous - Snapshot from the previous run
+ * @param {Object} change - Changed field ({ field, previousValue, currentValue }), empty for whole-place events
+ * @param {string} detectedAt - Detection time (ISO string)
+ * @returns {Object} Change event
+ */
+function createChangeEvent(changeType, snapshot, previous, change, detectedAt) {
+	const { field = null, previousValue = null, currentValue = null } = change;
+	return {
+		changeType,
+		placeId: snapshot.placeId,
+		cid: snapshot.cid,
+		title: snapshot.title,
+		url: snapshot.url,
+		field,
+		previousValue,
+		currentValue,
+		delta: typeof previousValue === 'number' && typeof currentValue === 'number'
+			? Math.round((currentValue - previousValue) * 100) / 100
+			: null,
+		previousSeenAt: previous?.seenAt || null,
+		detectedAt,
+	};
+}
+
+/**
+ * Lists the changes of a place since its previous snapshot
+ *
+ * @param {Object|null} previous - Snapshot from the previous run, or null for a new place
+ * @param {Object} current - Snapshot from this run (see createPlaceSnapshot)
+ * @returns {Array<Object>} Change events ({ changeType, placeId, cid, title, url, field,
+ *   previousValue, currentValue, delta, previousSeenAt, detectedAt })
+ */
+export function diffPlaceSnapshots(previous, current) {
+	const detectedAt = current.seenAt;
+	if (!previous) {
+		return [createChangeEvent(CHANGE_TYPES.NEW_PLACE, current, null, {}, detectedAt)];
+	}
+
+	const changes = MONITORED_FIELDS
+		.filter(({ field }) => JSON.stringify(previous[field] ?? null) !== JSON.stringify(current[field] ?? null))
+		.map(({ field, changeType }) => createChangeEvent(changeType, current, previous, {
+			field,
+			previousValue: previous[field] ?? null,
+			currentValue: current[field] ?? null,
+		}, detectedAt));
+
+	if (current.businessStatus === BUSINESS_STATUS.CLOSED_PERMANENTLY && previous.businessStatus !== BUSINESS_STATUS.CLOSED_PERMANENTLY) {
+		changes.push(createChangeEvent(CHANGE_TYPES.PERMANENTLY_CLOSED, current, previous, {
+			field: 'businessStatus',
+			previousValue: previous.businessStatus ?? null,
+			currentValue: current.businessStatus,
+		}, detectedAt));
+	}
+
+	return changes;
+}
+
+/**
+ * Closes a monitoring run: reports the places of the previous run this run did not
+ * find, removes their snapshots and remembers this run's places for the next run
+ *
+ * @param {Object} store - Snapshot store (see openSnapshotStore)
+ * @param {Array<string>} seenKeys - Snapshot keys of the places this run scraped
+ * @param {Object} [options]
+ * @param {boolean} [options.reportDisappeared=true] - Whether places not found count as
+ *   disappeared; when false (e.g. some requests failed) they are kept for the next run
+ * @param {Date} [options.now=new Date()] - Detection time
+ * @returns {Promise<Array<Object>>} DISAPPEARED change events
+ */
+export async function closeMonitoringRun(store, seenKeys, { reportDisappeared = true, now = new Date() } = {}) {
+	const index = await store.getValue(SNAPSHOT_INDEX_KEY);
+	const seen = new Set(seenKeys);
+	const missingKeys = (index?.placeKeys || []).filter((key) => !seen.has(key));
+
+	const changes = [];
+	if (reportDisappeared) {
+		for (const key of missingKeys) {
+			const previous = await store.getValue(key);
+			if (previous) {
+				changes.push(createChangeEvent(CHANGE_TYPES.DISAPPEARED, previous, previous, {}, now.toISOString()));
+				// A place that shows up again later is reported as new
+				await store.setValue(key, null);
+			}
+		}
+	}
+
+	await store.setValue(SNAPSHOT_INDEX_KEY, {
+		placeKeys: reportDisappeared ? [...seen] : [...seen, ...missingKeys],
+		updatedAt: now.toISOString(),
+	});
+	return changes;
+}
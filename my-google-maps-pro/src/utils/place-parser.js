@@ -0,0 +1,83 @@
+/**
+ * Place Parsing Utility
+ *
+ * Extracts place data from Google Maps search result feeds and place detail pages.
+ * Kept separate from the crawler so the same extraction logic can be run against
+ * live pages and saved HTML snapshots alike.
+ *
+ * Features:
+ * - Search feed parsing (place titles and detail URLs)
+ * - Detail page parsing driven by selector packs (see selector-pack.js)
+ * - GPS coordinates, place ID and CID from the place URL
+ * - Categories, price level, plus code and business status
+ */
+
+import { parsePlaceCoordinates, parsePlaceIdentifiers } from './place-input.js';
+import { DEFAULT_SELECTOR_PACK, extractFields } from './selector-pack.js';
+
+/**
+ * Business statuses, named as in the Google Places API
+ */
+export const BUSINESS_STATUS = {
+	OPERATIONAL: 'OPERATIONAL',
+	CLOSED_TEMPORARILY: 'CLOSED_TEMPORARILY',
+	CLOSED_PERMANENTLY: 'CLOSED_PERMANENTLY',
+};
+
+/**
+ * Extracts place links from the search results feed currently rendered on the page
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack to parse with
+ * @returns {Promise<Array>} Array of { title, url } objects
+ */
+export async function extractSearchResults(page, selectorPack = DEFAULT_SELECTOR_PACK) {
+	const results = await page.evaluate(extractFields, selectorPack.search);
+	return results
+		.map((place) => ({
+			title: place.title || 'Unknown Place',
+			url: place.url,
+		}))
+		.filter((place) => place.url && place.url.includes('/maps/place/'));
+}
+
+/**
+ * Derives the business status from the closure notice shown under the place title
+ *
+ * @param {string|null} notice - Notice text such as "Permanently closed" or "Temporarily closed"
+ * @returns {string} One of BUSINESS_STATUS
+ */
+export function parseBusinessStatus(notice) {
+	if (/permanently closed/i.test(notice || '')) {
+		return BUSINESS_STATUS.CLOSED_PERMANENTLY;
+	}
+	if (/temporarily closed/i.test(notice || '')) {
+		return BUSINESS_STATUS.CLOSED_TEMPORARILY;
+	}
+	return BUSINESS_STATUS.OPERATIONAL;
+}
+
+/**
+ * Extracts basic place data from a place detail page
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack to parse with
+ * @returns {Promise<Object>} Object with the pack's place fields, identifiers, category,
+ *   businessStatus and gps
+ */
+export async function extractPlaceDetails(page, selectorPack = DEFAULT_SELECTOR_PACK) {
+	const { closedNotice, ...fields } = await page.evaluate(extractFields, selectorPack.place);
+	const url = page.url();
+	const { placeId, cid } = parsePlaceIdentifiers(url);
+	const categories = fields.categories || [];
+
+	return {
+		...fields,
+		placeId: fields.placeId || placeId,
+		cid,
+		category: categories[0] || null,
+		categories,
+		businessStatus: parseBusinessStatus(closedNotice),
+		gps: parsePlaceCoordinates(url),
+	};
+}
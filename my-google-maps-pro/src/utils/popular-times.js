@@ -0,0 +1,139 @@
+/**
+ * Popular Times Utility
+ *
+ * Extracts the "Popular times" histogram from a place detail page.
+ *
+ * Features:
+ * - Per-day, per-hour busyness percentages
+ * - Live busyness ("Currently 45% busy, usually 60% busy") when Google shows it
+ * - Typical visit duration text
+ */
+
+import { parseTimeOfDay } from './hours-parser.js';
+import { DEFAULT_SELECTOR_PACK, extractFields } from './selector-pack.js';
+
+/**
+ * Weekdays in the order Google Maps numbers the histogram panels
+ */
+const DAYS_FROM_SUNDAY = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Parses the aria-label of one histogram bar
+ *
+ * @param {string} label - Label such as "25% busy at 6 AM." or "Currently 45% busy, usually 60% busy."
+ * @returns {Object|null} Object with hour (null for the live bar), occupancyPercent and
+ *   liveOccupancyPercent (live bar only), or null if the label is not a busyness label
+ */
+export function parseBusynessLabel(label) {
+	const text = (label || '').replace(/[\u00a0\u202f]/g, ' ');
+
+	const live = text.match(/currently (\d+)% busy(?:, usually (\d+)% busy)?/i);
+	if (live) {
+		return {
+			hour: null,
+			occupancyPercent: live[2] !== undefined ? parseInt(live[2], 10) : null,
+			liveOccupancyPercent: parseInt(live[1], 10),
+		};
+	}
+
+	const usual = text.match(/(\d+)% busy at (\d{1,2}(?::\d{2})?\s*[ap]\.?m\.?)/i);
+	const time = usual ? parseTimeOfDay(usual[2]) : null;
+	if (!time) {
+		return null;
+	}
+	return {
+		hour: parseInt(time, 10),
+		occupancyPercent: parseInt(usual[1], 10),
+	};
+}
+
+/**
+ * Builds the structured popular times from the raw values read from the page
+ *
+ * @param {Object} raw - Raw values
+ * @param {Array<Object>} [raw.rows=[]] - Histogram panels ({ dayIndex, bars }), dayIndex 0 being Sunday
+ * @param {string|null} [raw.liveStatus] - Live busyness text, e.g. "Live: Busier than usual"
+ * @param {string|null} [raw.visitDuration] - Visit duration text
+ * @returns {Object|null} Object with histogram, live and visitDuration, or null if the place has no popular times
+ */
+export function parsePopularTimes({ rows = [], liveStatus = null, visitDuration = null }) {
+	let live = null;
+
+	const histogram = rows
+		.filter((row) => DAYS_FROM_SUNDAY[row.dayIndex])
+		.map((row) => {
+			const bars = (row.bars || [])
+				.map(parseBusynessLabel)
+				.filter(Boolean)
+				.map((bar, index, all) => {
+					if (bar.hour !== null) {
+						return bar;
+					}
+					// The live bar stands for the current hour, the one after its left neighbour
+					const previous = all[index - 1]?.hour;
+					const hour = typeof previous === 'number' ? previous + 1 : (all[index + 1]?.hour ?? 1) - 1;
+					live = {
+						day: DAYS_FROM_SUNDAY[row.dayIndex],
+						hour,
+						occupancyPercent: bar.liveOccupancyPercent,
+						usualOccupancyPercent: bar.occupancyPercent,
+					};
+					return { ...bar, hour };
+				});
+
+			return {
+				day: DAYS_FROM_SUNDAY[row.dayIndex],
+				hours: bars
+					.filter((bar) => bar.occupancyPercent !== null)
+					.map(({ hour, occupancyPercent }) => ({ hour, occupancyPercent })),
+			};
+		})
+		// Monday first, as in opening hours
+		.sort((a, b) => ((DAYS_FROM_SUNDAY.indexOf(a.day) + 6) % 7) - ((DAYS_FROM_SUNDAY.indexOf(b.day) + 6) % 7));
+
+	const liveText = liveStatus?.replace(/\s+/g, ' ').replace(/^live\b:?\s*/i, '').trim() || null;
+	if (live || liveText) {
+		live = {
+			day: null,
+			hour: null,
+			occupancyPercent: null,
+			usualOccupancyPercent: null,
+			...live,
+			text: liveText,
+		};
+	}
+
+	const duration = visitDuration?.replace(/\s+/g, ' ').trim() || null;
+	if (!histogram.some((day) => day.hours.length > 0) && !live && !duration) {
+		return null;
+	}
+
+	return { histogram, live, visitDuration: duration };
+}
+
+/**
+ * Extracts popular times from a place detail page
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack to parse with
+ * @returns {Promise<Object|null>} Structured popular times (see parsePopularTimes), or null
+ */
+export async function extractPopularTimes(page, selectorPack = DEFAULT_SELECTOR_PACK) {
+	if (!selectorPack.popularTimes || !selectorPack.popularTimesSummary) {
+		return null;
+	}
+
+	let rows = await page.evaluate(extractFields, selectorPack.popularTimes);
+
+	// The histogram is rendered lazily, once the panel is scrolled down to it
+	if (rows.length === 0 && selectorPack.popularTimes.scrollContainer) {
+		await page.evaluate((selector) => {
+			document.querySelector(selector)?.scrollBy(0, 2000);
+		}, selectorPack.popularTimes.scrollContainer);
+		await page.waitForTimeout(1000);
+		rows = await page.evaluate(extractFields, selectorPack.popularTimes);
+	}
+
+	const { liveStatus, visitDuration } = await page.evaluate(extractFields, selectorPack.popularTimesSummary);
+	return parsePopularTimes({ rows, liveStatus, visitDuration });
+}
@@ -0,0 +1,283 @@
+/**
+ * Review Analytics Utility
+ *
+ * Post-processes the reviews collected for a place offline, with a bundled
+ * sentiment lexicon instead of an external API.
+ *
+ * Features:
+ * - Sentiment score (-1 to 1) and label per review, with negation ("not good") and
+ *   intensifiers ("very good")
+ * - Owner response rate and median response lag from the parsed review dates
+ * - Average rating per month and the rating change per year
+ * - Most frequent keywords of positive and negative reviews
+ *
+ * The bundled lexicon is English; reviews are scored on their translated text when
+ * Google provides one. Response lags and trends inherit the precision of the relative
+ * review dates ("a year ago" is only known to the year).
+ */
+
+import { readFileSync } from 'node:fs';
+
+/**
+ * Bundled English sentiment lexicon: word scores (-3 to 3), negators, intensifier
+ * multipliers and stopwords left out of keywords
+ */
+export const DEFAULT_LEXICON = JSON.parse(
+	readFileSync(new URL('../lexicons/sentiment-en.json', import.meta.url), 'utf-8')
+);
+
+/**
+ * Number of words before a sentiment word in which a negator flips it
+ */
+const NEGATION_WINDOW = 3;
+
+/**
+ * Factor applied to negated sentiment words ("not great" is mildly negative, not terrible)
+ */
+const NEGATION_FACTOR = -0.5;
+
+/**
+ * Smoothing constant of the score normalization; higher values need more sentiment
+ * words to approach -1 or 1
+ */
+const NORMALIZATION_ALPHA = 15;
+
+/**
+ * Scores between these bounds are labelled neutral
+ */
+const NEUTRAL_THRESHOLD = 0.05;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+/**
+ * Splits a text into lowercased words, keeping contractions ("didn't") together
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words
+ */
+export function tokenize(text) {
+	return (text || '').toLowerCase().replace(/’/g, "'").match(/[\p{L}\p{N}]+(?:'[\p{L}]+)*/gu) || [];
+}
+
+/**
+ * Rounds a number to a fixed number of decimals
+ *
+ * @param {number} value - Number to round
+ * @param {number} decimals - Decimals to keep
+ * @returns {number} Rounded number
+ */
+function round(value, decimals) {
+	const factor = 10 ** decimals;
+	return Math.round(value * factor) / factor;
+}
+
+/**
+ * Scores the sentiment of a text
+ *
+ * @param {string} text - Review text
+ * @param {Object} [lexicon=DEFAULT_LEXICON] - Lexicon with words, negators and intensifiers
+ * @returns {Object} Object with score (-1 to 1), label ('positive', 'negative' or 'neutral'),
+ *   and the positiveWords and negativeWords that contributed
+ */
+export function scoreSentiment(text, lexicon = DEFAULT_LEXICON) {
+	const { words, negators = [], intensifiers = {} } = lexicon;
+	const tokens = tokenize(text);
+	const positiveWords = [];
+	const negativeWords = [];
+	let total = 0;
+
+	tokens.forEach((token, index) => {
+		// Own keys only: "constructor" or "toString" must not read Object.prototype
+		if (!Object.hasOwn(words, token)) {
+			return;
+		}
+
+		const previous = tokens[index - 1];
+		let value = words[token] * (Object.hasOwn(intensifiers, previous) ? intensifiers[previous] : 1);
+		if (tokens.slice(Math.max(0, index - NEGATION_WINDOW), index).some((word) => negators.includes(word))) {
+			value *= NEGATION_FACTOR;
+		}
+
+		total += value;
+		if (value > 0) {
+			positiveWords.push(token);
+		} else if (value < 0) {
+			negativeWords.push(token);
+		}
+	});
+
+	const score = round(total / Math.sqrt(total * total + NORMALIZATION_ALPHA), 3);
+	let label = 'neutral';
+	if (score >= NEUTRAL_THRESHOLD) {
+		label = 'positive';
+	} else if (score <= -NEUTRAL_THRESHOLD) {
+		label = 'negative';
+	}
+
+	return { score, label, positiveWords, negativeWords };
+}
+
+/**
+ * Picks the text of a review to score: the translation when Google provides one,
+ * since the lexicon is English
+ *
+ * @param {Object} review - Review
+ * @returns {string} Text to score
+ */
+function getScoredText(review) {
+	return review.translatedText || review.text || '';
+}
+
+/**
+ * Adds a sentiment score to a review
+ *
+ * @param {Object} review - Review from scrollAndExtractReviews()
+ * @param {Object} [lexicon=DEFAULT_LEXICON] - Sentiment lexicon
+ * @returns {Object} New review object with sentiment ({ score, label })
+ */
+export function addReviewSentiment(review, lexicon = DEFAULT_LEXICON) {
+	const { score, label } = scoreSentiment(getScoredText(review), lexicon);
+	return { ...review, sentiment: { score, label } };
+}
+
+/**
+ * Returns the middle of an ISO date range
+ *
+ * @param {Object|null} range - Range ({ from, to } ISO strings)
+ * @returns {number|null} Timestamp in milliseconds, or null without a range
+ */
+function getMidpoint(range) {
+	if (!range?.from || !range?.to) {
+		return null;
+	}
+	return (new Date(range.from).getTime() + new Date(range.to).getTime()) / 2;
+}
+
+/**
+ * Returns the median of a list of numbers
+ *
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+	if (values.length === 0) {
+		return null;
+	}
+	const sorted = [...values].sort((a, b) => a - b);
+	const middle = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Computes the average rating per month and the least-squares rating change per year
+ *
+ * @param {Array<Object>} points - Rated reviews ({ time, rating })
+ * @returns {Object} Object with periods ([{ period: 'YYYY-MM', count, averageRating }], oldest
+ *   first) and changePerYear (null when all reviews fall on the same date)
+ */
+function computeRatingTrend(points) {
+	const periods = new Map();
+	for (const { time, rating } of points) {
+		const period = new Date(time).toISOString().slice(0, 7);
+		const entry = periods.get(period) || { period, count: 0, total: 0 };
+		entry.count++;
+		entry.total += rating;
+		periods.set(period, entry);
+	}
+
+	const meanTime = points.reduce((sum, point) => sum + point.time, 0) / points.length;
+	const meanRating = points.reduce((sum, point) => sum + point.rating, 0) / points.length;
+	let covariance = 0;
+	let variance = 0;
+	for (const { time, rating } of points) {
+		const years = (time - meanTime) / YEAR_MS;
+		covariance += years * (rating - meanRating);
+		variance += years * years;
+	}
+
+	return {
+		periods: [...periods.values()]
+			.sort((a, b) => a.period.localeCompare(b.period))
+			.map(({ period, count, total }) => ({ period, count, averageRating: round(total / count, 2) })),
+		changePerYear: variance > 0 ? round(covariance / variance, 2) : null,
+	};
+}
+
+/**
+ * Counts the keywords of a set of texts, once per text
+ *
+ * @param {Array<string>} texts - Texts
+ * @param {Object} lexicon - Lexicon whose stopwords, negators and intensifiers are skipped
+ * @param {number} limit - Number of keywords to return
+ * @returns {Array<Object>} Keywords ({ keyword, count }), most frequent first
+ */
+function countKeywords(texts, lexicon, limit) {
+	const skipped = new Set([
+		...(lexicon.stopwords || []),
+		...(lexicon.negators || []),
+		...Object.keys(lexicon.intensifiers || {}),
+	]);
+	const counts = new Map();
+
+	for (const text of texts) {
+		const keywords = new Set(tokenize(text).filter((token) => token.length > 2 && !/^\d+$/.test(token) && !skipped.has(token)));
+		for (const keyword of keywords) {
+			counts.set(keyword, (counts.get(keyword) || 0) + 1);
+		}
+	}
+
+	return [...counts.entries()]
+		.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+		.slice(0, limit)
+		.map(([keyword, count]) => ({ keyword, count }));
+}
+
+/**
+ * Computes the review analytics of a place
+ *
+ * @param {Array<Object>} reviews - Reviews of the place, with dateRange from addReviewDates()
+ * @param {Object} [options] - Analytics options
+ * @param {Object} [options.lexicon=DEFAULT_LEXICON] - Sentiment lexicon
+ * @param {number} [options.topKeywords=10] - Number of keywords per sentiment
+ * @returns {Object} Object with reviewCount, averageSentiment, sentimentCounts, responseRate,
+ *   medianResponseLagDays, ratingTrend, topPositiveKeywords and topNegativeKeywords
+ */
+export function analyzeReviews(reviews, options = {}) {
+	const { lexicon = DEFAULT_LEXICON, topKeywords = 10 } = options;
+	const sentimentCounts = { positive: 0, negative: 0, neutral: 0 };
+	const textsBySentiment = { positive: [], negative: [], neutral: [] };
+	const responseLags = [];
+	const ratedPoints = [];
+	let sentimentTotal = 0;
+
+	for (const review of reviews) {
+		const text = getScoredText(review);
+		const sentiment = review.sentiment || scoreSentiment(text, lexicon);
+		sentimentCounts[sentiment.label]++;
+		textsBySentiment[sentiment.label].push(text);
+		sentimentTotal += sentiment.score;
+
+		const reviewTime = getMidpoint(review.dateRange);
+		const responseTime = getMidpoint(review.response?.dateRange);
+		if (reviewTime !== null && responseTime !== null) {
+			responseLags.push(Math.max(0, responseTime - reviewTime) / DAY_MS);
+		}
+		if (reviewTime !== null && typeof review.rating === 'number') {
+			ratedPoints.push({ time: reviewTime, rating: review.rating });
+		}
+	}
+
+	const lag = median(responseLags);
+
+	return {
+		reviewCount: reviews.length,
+		averageSentiment: reviews.length ? round(sentimentTotal / reviews.length, 3) : null,
+		sentimentCounts,
+		responseRate: reviews.length ? round(reviews.filter((review) => review.response).length / reviews.length, 3) : null,
+		medianResponseLagDays: lag === null ? null : round(lag, 1),
+		ratingTrend: ratedPoints.length ? computeRatingTrend(ratedPoints) : { periods: [], changePerYear: null },
+		topPositiveKeywords: countKeywords(textsBySentiment.positive, lexicon, topKeywords),
+		topNegativeKeywords: countKeywords(textsBySentiment.negative, lexicon, topKeywords),
+	};
+}
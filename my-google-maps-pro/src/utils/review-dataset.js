@@ -0,0 +1,74 @@
+/**
+ * Reviews Dataset Utility
+ *
+ * Writes reviews to a dedicated dataset, one row per review, instead of nesting
+ * them in the place item. Keeps CSV/Excel exports readable and place items small
+ * for places with thousands of reviews.
+ *
+ * Features:
+ * - Reviews dataset of the run, declared in .actor/actor.json with its schema and view,
+ *   or a named dataset shared by several runs
+ * - Review rows with place ID, CID, title and URL back-references
+ * - Review summary counts for the place item
+ */
+
+import { Actor } from 'apify';
+
+/**
+ * Where reviews go: nested in the place item, or one row each in a reviews dataset
+ */
+export const REVIEWS_OUTPUT_MODES = ['nested', 'dataset'];
+
+/**
+ * Alias of the run's reviews dataset in the storages of .actor/actor.json
+ */
+export const REVIEWS_DATASET_ALIAS = 'reviews';
+
+/**
+ * Opens the dataset for review rows
+ *
+ * @param {string} [name] - Named dataset to append to; without one, the run's reviews dataset
+ * @returns {Promise<Object>} Dataset
+ */
+export async function openReviewsDataset(name) {
+	return Actor.openDataset(name || { alias: REVIEWS_DATASET_ALIAS });
+}
+
+/**
+ * Turns the reviews of a place into dataset rows
+ *
+ * @param {Object} place - Place data (placeId, cid, title, url, scrapedAt)
+ * @param {Array<Object>} reviews - Reviews of the place
+ * @returns {Array<Object>} One row per review, led by the place back-references
+ */
+export function flattenReviews(place, reviews) {
+	return reviews.map((review) => ({
+		placeId: place.placeId || null,
+		cid: place.cid || null,
+		placeTitle: place.title || null,
+		placeUrl: place.url,
+		...review,
+		scrapedAt: place.scrapedAt,
+	}));
+}
+
+/**
+ * Summarizes the reviews collected for a place
+ *
+ * @param {Array<Object>} reviews - Reviews of the place
+ * @returns {Object} Object with count, ratingCounts (stars → count) and withResponse
+ */
+export function summarizeReviews(reviews) {
+	const ratingCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+	for (const { rating } of reviews) {
+		if (rating in ratingCounts) {
+			ratingCounts[rating]++;
+		}
+	}
+
+	return {
+		count: reviews.length,
+		ratingCounts,
+		withResponse: reviews.filter((review) => review.response).length,
+	};
+}
@@ -0,0 +1,238 @@
+/**
+ * Review Date Utility
+ *
+ * Google Maps shows review dates relative to today ("2 weeks ago", "vor einem Monat").
+ * This module turns them into estimated date ranges, and parses the reviewsSince
+ * cutoff from the actor input.
+ *
+ * Features:
+ * - Relative date parsing in English, German, French, Spanish and Portuguese
+ * - Estimated ISO date ranges ("2 weeks ago" = 14 to 21 days before the scrape)
+ * - "Edited" marker detection
+ * - Absolute ("2024-01-31") and relative ("30 days") cutoffs
+ *
+ * Relative dates are approximations: a month counts as 30 days and a year as 365.
+ */
+
+/**
+ * Length of each unit in milliseconds
+ */
+const UNIT_MS = {
+	second: 1000,
+	minute: 60 * 1000,
+	hour: 60 * 60 * 1000,
+	day: 24 * 60 * 60 * 1000,
+	week: 7 * 24 * 60 * 60 * 1000,
+	month: 30 * 24 * 60 * 60 * 1000,
+	year: 365 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Relative date phrases per language. Patterns capture an amount (a number or an
+ * article meaning "one") and a unit word.
+ */
+const LANGUAGES = {
+	en: {
+		pattern: /^(\S+)\s+(\S+)\s+ago$/,
+		one: ['a', 'an', 'one'],
+		units: {
+			second: ['second', 'seconds'],
+			minute: ['minute', 'minutes'],
+			hour: ['hour', 'hours'],
+			day: ['day', 'days'],
+			week: ['week', 'weeks'],
+			month: ['month', 'months'],
+			year: ['year', 'years'],
+		},
+		now: ['just now', 'moments ago'],
+		today: ['today'],
+		yesterday: ['yesterday'],
+		edited: /^edited\s+|\s*\(edited\)$/,
+	},
+	de: {
+		pattern: /^vor\s+(\S+)\s+(\S+)$/,
+		one: ['einer', 'einem', 'ein'],
+		units: {
+			second: ['sekunde', 'sekunden'],
+			minute: ['minute', 'minuten'],
+			hour: ['stunde', 'stunden'],
+			day: ['tag', 'tagen'],
+			week: ['woche', 'wochen'],
+			month: ['monat', 'monaten'],
+			year: ['jahr', 'jahren'],
+		},
+		now: ['gerade eben'],
+		today: ['heute'],
+		yesterday: ['gestern'],
+		edited: /^bearbeitet:?\s+|\s*\(bearbeitet\)$/,
+	},
+	fr: {
+		pattern: /^il y a\s+(\S+)\s+(\S+)$/,
+		one: ['un', 'une'],
+		units: {
+			second: ['seconde', 'secondes'],
+			minute: ['minute', 'minutes'],
+			hour: ['heure', 'heures'],
+			day: ['jour', 'jours'],
+			week: ['semaine', 'semaines'],
+			month: ['mois'],
+			year: ['an', 'ans'],
+		},
+		now: ["à l'instant", 'à l’instant'],
+		today: ["aujourd'hui", 'aujourd’hui'],
+		yesterday: ['hier'],
+		edited: /^modifié\s+|\s*\(modifié\)$/,
+	},
+	es: {
+		pattern: /^hace\s+(\S+)\s+(\S+)$/,
+		one: ['un', 'una'],
+		units: {
+			second: ['segundo', 'segundos'],
+			minute: ['minuto', 'minutos'],
+			hour: ['hora', 'horas'],
+			day: ['día', 'días', 'dia', 'dias'],
+			week: ['semana', 'semanas'],
+			month: ['mes', 'meses'],
+			year: ['año', 'años'],
+		},
+		now: ['justo ahora', 'ahora mismo'],
+		today: ['hoy'],
+		yesterday: ['ayer'],
+		edited: /^editad[oa]\s+|\s*\(editad[oa]\)$/,
+	},
+	pt: {
+		pattern: /^há\s+(\S+)\s+(\S+)$/,
+		one: ['um', 'uma'],
+		units: {
+			second: ['segundo', 'segundos'],
+			minute: ['minuto', 'minutos'],
+			hour: ['hora', 'horas'],
+			day: ['dia', 'dias'],
+			week: ['semana', 'semanas'],
+			month: ['mês', 'meses'],
+			year: ['ano', 'anos'],
+		},
+		now: ['agora mesmo', 'agora'],
+		today: ['hoje'],
+		yesterday: ['ontem'],
+		edited: /^editad[oa]\s+|\s*\(editad[oa]\)$/,
+	},
+};
+
+/**
+ * Matches a relative date against the phrases of one language
+ *
+ * @param {string} text - Lowercased date text without the edited marker
+ * @param {Object} language - Language definition from LANGUAGES
+ * @returns {Object|null} Object with amount and unit, or null if the language does not match
+ */
+function matchLanguage(text, language) {
+	if (language.now.includes(text)) {
+		return { amount: 0, unit: 'minute' };
+	}
+	if (language.today.includes(text)) {
+		return { amount: 0, unit: 'day' };
+	}
+	if (language.yesterday.includes(text)) {
+		return { amount: 1, unit: 'day' };
+	}
+
+	const match = text.match(language.pattern);
+	if (!match) {
+		return null;
+	}
+	const amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : (language.one.includes(match[1]) && 1);
+	const unit = Object.keys(language.units).find((name) => language.units[name].includes(match[2]));
+	return amount && unit ? { amount, unit } : null;
+}
+
+/**
+ * Parses a relative review date into an estimated date range
+ *
+ * Google rounds down, so "2 weeks ago" means 14 to 21 days before now.
+ *
+ * @param {string} text - Date text such as "2 weeks ago", "vor einem Monat",
+ *   "il y a 3 jours", "hace un año", "há 2 semanas" or "Edited a week ago"
+ * @param {Date} [now=new Date()] - Date the text is relative to (the scrape time)
+ * @returns {Object|null} Object with from and to (Dates), edited and language, or null if
+ *   the text is not a known relative date
+ */
+export function parseRelativeDateRange(text, now = new Date()) {
+	const normalized = (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+	for (const [code, language] of Object.entries(LANGUAGES)) {
+		const edited = language.edited.test(normalized);
+		const relative = matchLanguage(normalized.replace(language.edited, '').trim(), language);
+		if (relative) {
+			const unitMs = UNIT_MS[relative.unit];
+			return {
+				from: new Date(now.getTime() - (relative.amount + 1) * unitMs),
+				to: new Date(now.getTime() - relative.amount * unitMs),
+				edited,
+				language: code,
+			};
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Parses a relative review date into the latest date it can stand for
+ *
+ * @param {string} text - Date text such as "2 weeks ago" or "vor einem Monat"
+ * @param {Date} [now=new Date()] - Date the text is relative to (the scrape time)
+ * @returns {Date|null} Approximate date, or null if the text is not a relative date
+ */
+export function parseRelativeDate(text, now = new Date()) {
+	return parseRelativeDateRange(text, now)?.to || null;
+}
+
+/**
+ * Adds estimated date ranges and the edited flag to an extracted review
+ *
+ * @param {Object} review - Review from extractReviewData()
+ * @param {Date} [now=new Date()] - Scrape time the relative dates are resolved against
+ * @returns {Object} New review object with dateRange ({ from, to } ISO strings or null),
+ *   edited, and a dateRange on the owner response
+ */
+export function addReviewDates(review, now = new Date()) {
+	const toRange = (range) => (range ? { from: range.from.toISOString(), to: range.to.toISOString() } : null);
+	const range = parseRelativeDateRange(review.date, now);
+
+	return {
+		...review,
+		dateRange: toRange(range),
+		edited: range?.edited || false,
+		...(review.response && {
+			response: { ...review.response, dateRange: toRange(parseRelativeDateRange(review.response.date, now)) },
+		}),
+	};
+}
+
+/**
+ * Resolves the reviewsSince cutoff from the actor input
+ *
+ * @param {string} value - ISO date ("2024-01-31", "2024-01-31T12:00:00Z") or a duration
+ *   back from now ("30 days", "2 weeks", "-3 months", "1 year ago")
+ * @param {Date} [now=new Date()] - Current date
+ * @returns {Date} Cutoff date
+ * @throws {Error} If the value is neither a date nor a duration
+ */
+export function resolveReviewsSince(value, now = new Date()) {
+	const text = String(value).trim();
+
+	const duration = text.toLowerCase().match(/^-?\s*(\d+)\s*(second|minute|hour|day|week|month|year)s?(?:\s+ago)?$/);
+	if (duration) {
+		return new Date(now.getTime() - parseInt(duration[1], 10) * UNIT_MS[duration[2]]);
+	}
+
+	if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+		const date = new Date(text);
+		if (!Number.isNaN(date.getTime())) {
+			return date;
+		}
+	}
+
+	throw new Error(`Invalid reviewsSince: "${value}". Use a date (2024-01-31) or a duration (30 days).`);
+}
@@ -7,67 +7,285 @@
  * Features:
  * - Automatic review scrolling until all reviews are loaded
  * - Extraction of review text, ratings, authors, dates
+ * - Review IDs, reviewer profiles, Local Guide status, likes, photos and sub-ratings
+ * - Original and Google-translated review text
  * - Support for "More" button expansion
  * - Pagination handling
+ * - Reviews tab navigation and sort order selection, back to the Overview tab when done
+ * - Star rating filter and date cutoff with early stop
+ * - Incremental harvesting that stops at reviews seen in earlier runs
+ * - Keyword search through the "Search reviews" box, with matching keywords tagged
+ * - Estimated date ranges for the relative review and response dates
  */
 
+import { addReviewDates, parseRelativeDate } from './review-dates.js';
+import { DEFAULT_SELECTOR_PACK, extractFields } from './selector-pack.js';
+
+/**
+ * Review sort orders, mapped to their position in the "Sort reviews" menu
+ */
+export const REVIEW_SORT_ORDERS = {
+	mostRelevant: 0,
+	newest: 1,
+	highestRating: 2,
+	lowestRating: 3,
+};
+
+/**
+ * Review text versions: Google's translation or the text as the reviewer wrote it
+ */
+export const REVIEW_TEXT_VERSIONS = ['translated', 'original'];
+
+/**
+ * Identifies a review: by review ID, or author + text for packs without one
+ *
+ * @param {Object} review - Review
+ * @returns {string} Review key
+ */
+function getReviewKey(review) {
+	return review.reviewId || `${review.author || ''}-${review.text?.substring(0, 50) || ''}`;
+}
+
+/**
+ * Parses the reviewer line shown under the reviewer name
+ *
+ * @param {string|null} text - Text such as "Local Guide · 112 reviews · 340 photos" or "3 reviews"
+ * @returns {Object} Object with reviewerReviewCount, reviewerPhotoCount, isLocalGuide and localGuideLevel
+ */
+export function parseReviewerInfo(text) {
+	const normalized = (text || '').replace(/\s+/g, ' ');
+	const count = (regex) => {
+		const match = normalized.match(regex);
+		return match ? parseInt(match[1].replace(/[,.]/g, ''), 10) : null;
+	};
+
+	return {
+		reviewerReviewCount: count(/(\d[\d,.]*)\s+reviews?\b/i),
+		reviewerPhotoCount: count(/(\d[\d,.]*)\s+photos?\b/i),
+		isLocalGuide: /local guide/i.test(normalized),
+		localGuideLevel: count(/\blevel\s+(\d+)/i),
+	};
+}
+
+/**
+ * Parses the per-aspect ratings some categories show under the review text
+ *
+ * @param {Array<string>} [items=[]] - Texts such as "Food: 5", "Service: 4" or "Meal type: Lunch"
+ * @returns {Object|null} Map of aspect → rating ({ food: 5, service: 4 }), or null if there are none.
+ *   Non-numeric entries such as "Meal type" are skipped.
+ */
+export function parseSubRatings(items = []) {
+	const ratings = items
+		.map((item) => item.replace(/\s+/g, ' ').match(/^(.+?):\s*(\d(?:[.,]\d)?)$/))
+		.filter(Boolean)
+		.map((match) => [match[1].trim().toLowerCase(), parseFloat(match[2].replace(',', '.'))]);
+
+	return ratings.length > 0 ? Object.fromEntries(ratings) : null;
+}
+
+/**
+ * Builds a review record from the raw values read from the page
+ *
+ * @param {Object} row - Raw review fields from the selector pack
+ * @returns {Object} Review with original/translated text, reviewer details, subRatings, likes and photos
+ */
+export function parseReviewRow(row) {
+	const { reviewerInfo, subRatings, language, translationToggle, ...review } = row;
+	const reviewerUrl = review.reviewerUrl?.split('?')[0] || null;
+	// "See original (German)" is offered while the translation is shown
+	const showsTranslation = /^see original/i.test(translationToggle || '');
+
+	return {
+		reviewId: null,
+		...review,
+		originalText: showsTranslation ? null : review.text ?? null,
+		originalLanguage: language || null,
+		translatedText: showsTranslation ? review.text : null,
+		reviewerUrl,
+		reviewerId: reviewerUrl?.match(/\/contrib\/(\d+)/)?.[1] || null,
+		...parseReviewerInfo(reviewerInfo),
+		subRatings: parseSubRatings(subRatings),
+		// Google hides the like count while it is zero
+		likes: review.likes ?? 0,
+		photos: review.photos || [],
+	};
+}
+
 /**
  * Extracts review data from the current page
  * 
  * @param {Object} page - Playwright page object
- * @returns {Promise<Array>} Array of review objects
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack to parse with
+ * @returns {Promise<Array>} Array of review objects (see parseReviewRow)
  */
-export async function extractReviewData(page) {
-	return page.evaluate(() => {
-		const reviews = [];
-		const reviewElements = document.querySelectorAll('[data-review-id]');
-
-		reviewElements.forEach((element) => {
-			try {
-				const authorElement = element.querySelector('[class*="d4r55"]');
-				const ratingElement = element.querySelector('[role="img"][aria-label*="star"]');
-				const textElement = element.querySelector('[class*="MyEned"]');
-				const dateElement = element.querySelector('[class*="rsqaWe"]');
-				const responseElement = element.querySelector('[class*="CDe7pd"]');
-
-				let rating = null;
-				if (ratingElement) {
-					const ariaLabel = ratingElement.getAttribute('aria-label');
-					const match = ariaLabel?.match(/(\d+)/);
-					if (match) {
-						rating = parseInt(match[1], 10);
-					}
-				}
+export async function extractReviewData(page, selectorPack = DEFAULT_SELECTOR_PACK) {
+	const rows = await page.evaluate(extractFields, selectorPack.review);
+	const seenIds = new Set();
 
-				const review = {
-					author: authorElement?.textContent?.trim() || null,
-					rating,
-					text: textElement?.textContent?.trim() || null,
-					date: dateElement?.textContent?.trim() || null,
-					response: null,
-				};
-
-				if (responseElement) {
-					const responseOwner = responseElement.querySelector('[class*="d4r55"]');
-					const responseText = responseElement.querySelector('[class*="wiI7pd"]');
-					const responseDate = responseElement.querySelector('[class*="rsqaWe"]');
-
-					review.response = {
-						owner: responseOwner?.textContent?.trim() || null,
-						text: responseText?.textContent?.trim() || null,
-						date: responseDate?.textContent?.trim() || null,
-					};
-				}
+	return (rows || [])
+		// Elements inside a review (e.g. the reviewer button) repeat its ID; the review itself comes first
+		.filter((row) => !row.reviewId || (!seenIds.has(row.reviewId) && seenIds.add(row.reviewId)))
+		// Rating-only reviews have no text; on contributor profiles the place stands in for the author
+		.filter((row) => row.author || row.placeTitle || row.text)
+		.map(parseReviewRow);
+}
+
+/**
+ * Opens the Reviews tab of a place detail page
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack with the review tab selector
+ * @returns {Promise<boolean>} True if the tab was opened
+ */
+export async function openReviewsTab(page, selectorPack = DEFAULT_SELECTOR_PACK) {
+	const tab = selectorPack.review.tab ? await page.$(selectorPack.review.tab) : null;
+	if (!tab) {
+		return false;
+	}
+	await tab.click();
+	await page.waitForTimeout(2000);
+	return true;
+}
+
+/**
+ * Opens the Overview tab of a place detail page again
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack with the about.overviewTab selector
+ * @returns {Promise<boolean>} True if the tab was opened
+ */
+export async function openOverviewTab(page, selectorPack = DEFAULT_SELECTOR_PACK) {
+	const tab = selectorPack.about?.overviewTab ? await page.$(selectorPack.about.overviewTab) : null;
+	if (!tab) {
+		return false;
+	}
+	await tab.click();
+	await page.waitForTimeout(1000);
+	return true;
+}
+
+/**
+ * Sorts the reviews through the "Sort reviews" menu
+ *
+ * Menu items are picked by position, so sorting works in any interface language.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {string} sort - Sort order, one of the REVIEW_SORT_ORDERS keys
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack with the sort menu selectors
+ * @returns {Promise<boolean>} True if the sort order was selected
+ * @throws {Error} If the sort order is unknown
+ */
+export async function sortReviews(page, sort, selectorPack = DEFAULT_SELECTOR_PACK) {
+	if (!(sort in REVIEW_SORT_ORDERS)) {
+		throw new Error(`Unknown review sort order: ${sort}. Use one of: ${Object.keys(REVIEW_SORT_ORDERS).join(', ')}`);
+	}
+
+	const { sortButton, sortMenuItem } = selectorPack.review;
+	const button = sortButton ? await page.$(sortButton) : null;
+	if (!button) {
+		return false;
+	}
+	await button.click();
+	await page.waitForTimeout(1000);
+
+	const menuItems = sortMenuItem ? await page.$$(sortMenuItem) : [];
+	const item = menuItems[REVIEW_SORT_ORDERS[sort]];
+	if (!item) {
+		return false;
+	}
+	await item.click();
+	await page.waitForTimeout(2000);
+	return true;
+}
+
+/**
+ * Searches the reviews of a place through the "Search reviews" box of the Reviews tab
+ *
+ * The box is opened through its search button when it is not shown yet. A new keyword
+ * replaces the previous one.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {string} keyword - Keyword to search for
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack with the review search selectors
+ * @returns {Promise<boolean>} True if the search was submitted
+ */
+export async function searchReviews(page, keyword, selectorPack = DEFAULT_SELECTOR_PACK) {
+	const { searchButton, searchInput } = selectorPack.review;
+	if (!searchInput) {
+		return false;
+	}
+
+	let input = await page.$(searchInput);
+	if (!input && searchButton) {
+		const button = await page.$(searchButton);
+		if (button) {
+			await button.click();
+			await page.waitForTimeout(1000);
+			input = await page.$(searchInput);
+		}
+	}
+	if (!input) {
+		return false;
+	}
+
+	await input.fill(keyword);
+	await input.press('Enter');
+	await page.waitForTimeout(2000);
+	return true;
+}
+
+/**
+ * Reads the original text of reviews shown in Google's translation
+ *
+ * Clicks the "See original" toggle of each translated review, expands its "More"
+ * button and reads the reviews again.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Array<Object>} reviews - Reviews from extractReviewData()
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack with the translation toggle selector
+ * @returns {Promise<Array<Object>>} Reviews with originalText filled in where it could be read
+ */
+export async function addOriginalTexts(page, reviews, selectorPack = DEFAULT_SELECTOR_PACK) {
+	const { translationToggle } = selectorPack.review;
+	const translated = reviews.filter((review) => review.reviewId && review.translatedText && !review.originalText);
+	if (!translationToggle || translated.length === 0) {
+		return reviews;
+	}
 
-				if (review.author || review.text) {
-					reviews.push(review);
+	let toggled = 0;
+	for (const review of translated) {
+		try {
+			const root = await page.$(`[data-review-id="${review.reviewId}"]`);
+			const toggle = root ? await root.$(translationToggle) : null;
+			if (toggle) {
+				await toggle.click();
+				await page.waitForTimeout(500);
+				const moreButton = await root.$('button:has-text("More")');
+				if (moreButton) {
+					await moreButton.click();
+					await page.waitForTimeout(500);
 				}
-			} catch (error) {
-				console.error('Error extracting review:', error);
+				toggled++;
 			}
-		});
-
+		} catch {
+			// Toggle might not be clickable, keep the translation only
+		}
+	}
+	if (toggled === 0) {
 		return reviews;
+	}
+
+	const originals = new Map((await extractReviewData(page, selectorPack)).map((review) => [review.reviewId, review]));
+	return reviews.map((review) => {
+		const original = originals.get(review.reviewId);
+		if (!review.translatedText || !original?.originalText) {
+			return review;
+		}
+		return {
+			...review,
+			originalText: original.originalText,
+			originalLanguage: review.originalLanguage || original.originalLanguage,
+		};
 	});
 }
 
@@ -78,83 +296,195 @@ export async function extractReviewData(page) {
  * @param {Object} options - Extraction options
  * @param {number} [options.maxReviews=100] - Maximum number of reviews to extract
  * @param {number} [options.scrollDelay=1000] - Delay between scrolls in milliseconds
- * @returns {Promise<Array>} Array of all extracted reviews
+ * @param {Object} [options.selectorPack] - Selector pack to parse reviews with
+ * @param {string} [options.sort] - Sort order, one of the REVIEW_SORT_ORDERS keys
+ * @param {number} [options.minStars] - Skip reviews rated below this
+ * @param {number} [options.maxStars] - Skip reviews rated above this
+ * @param {Date} [options.since] - Skip reviews older than this date
+ * @param {Date} [options.now=new Date()] - Date relative review dates are resolved against
+ * @param {string} [options.textVersion='translated'] - Text version put in the text field, one of REVIEW_TEXT_VERSIONS.
+ *   Both versions are kept in originalText and translatedText.
+ * @param {Set<string>} [options.knownReviewIds] - IDs of reviews harvested before; they are skipped, and
+ *   reviews sorted by newest stop at the first one
+ * @param {string} [options.keyword] - Only collect reviews Google finds for this keyword in the
+ *   "Search reviews" box. Nothing is collected when the box is missing.
+ * @returns {Promise<Array>} Array of all extracted reviews, with estimated date ranges (see addReviewDates).
+ *   The Overview tab is opened again afterwards.
  */
 export async function scrollAndExtractReviews(page, options = {}) {
-	const { maxReviews = 100, scrollDelay = 1000 } = options;
+	const {
+		maxReviews = 100,
+		scrollDelay = 1000,
+		selectorPack = DEFAULT_SELECTOR_PACK,
+		sort,
+		minStars,
+		maxStars,
+		since,
+		now = new Date(),
+		textVersion = 'translated',
+		knownReviewIds,
+		keyword,
+	} = options;
 	const allReviews = [];
 	let previousReviewCount = 0;
 	let noNewReviewsCount = 0;
 	const maxNoNewReviews = 3;
 
-	// Expand "More" buttons to get full review text
+	if (sort && !(sort in REVIEW_SORT_ORDERS)) {
+		throw new Error(`Unknown review sort order: ${sort}. Use one of: ${Object.keys(REVIEW_SORT_ORDERS).join(', ')}`);
+	}
+	if (!REVIEW_TEXT_VERSIONS.includes(textVersion)) {
+		throw new Error(`Unknown review text version: ${textVersion}. Use one of: ${REVIEW_TEXT_VERSIONS.join(', ')}`);
+	}
+
+	// Go back to the Overview tab at the end, so later steps (photos) do not see the Reviews tab
 	try {
-		const moreButtons = await page.$$('button:has-text("More")');
-		for (const button of moreButtons) {
-			try {
-				await button.click();
-				await page.waitForTimeout(500);
-			} catch (error) {
-				// Button might not be clickable, continue
+		// Open the Reviews tab and pick the sort order
+		try {
+			const tabOpened = await openReviewsTab(page, selectorPack);
+			if (tabOpened && sort && sort !== 'mostRelevant' && !await sortReviews(page, sort, selectorPack)) {
+				console.log(`Warning: Could not sort reviews by ${sort}`);
 			}
+		} catch {
+			// Reviews tab might not be clickable (e.g. reviews already shown), continue
 		}
-	} catch (error) {
-		// No "More" buttons found, continue
-	}
 
-	while (allReviews.length < maxReviews && noNewReviewsCount < maxNoNewReviews) {
-		// Extract current reviews
-		const currentReviews = await extractReviewData(page);
+		// Narrow the list down to the reviews matching the keyword
+		if (keyword && !await searchReviews(page, keyword, selectorPack)) {
+			console.log(`Warning: Could not search reviews for "${keyword}"`);
+			return [];
+		}
 
-		// Add new reviews (deduplicate by author + text)
-		const existingReviewKeys = new Set(
-			allReviews.map((r) => `${r.author || ''}-${r.text?.substring(0, 50) || ''}`)
+		const isOlderThanCutoff = (review) => {
+			const date = since ? parseRelativeDate(review.date, now) : null;
+			return Boolean(date && date < since);
+		};
+		const isWithinStars = (review) => (
+			typeof review.rating !== 'number'
+			|| ((minStars === undefined || review.rating >= minStars) && (maxStars === undefined || review.rating <= maxStars))
 		);
 
-		const newReviews = currentReviews.filter(
-			(r) => !existingReviewKeys.has(`${r.author || ''}-${r.text?.substring(0, 50) || ''}`)
-		);
+		// Expand "More" buttons to get full review text
+		try {
+			const moreButtons = await page.$$('button:has-text("More")');
+			for (const button of moreButtons) {
+				try {
+					await button.click();
+					await page.waitForTimeout(500);
+				} catch (error) {
+					// Button might not be clickable, continue
+				}
+			}
+		} catch (error) {
+			// No "More" buttons found, continue
+		}
 
-		allReviews.push(...newReviews);
+		while (allReviews.length < maxReviews && noNewReviewsCount < maxNoNewReviews) {
+			// Extract current reviews
+			const currentReviews = await extractReviewData(page, selectorPack);
 
-		// Check if we got new reviews
-		if (currentReviews.length === previousReviewCount) {
-			noNewReviewsCount++;
-		} else {
-			noNewReviewsCount = 0;
-		}
+			// Add new reviews (deduplicate by review ID, or author + text for packs without one)
+			const existingReviewKeys = new Set(allReviews.map(getReviewKey));
+
+			const newReviews = currentReviews.filter((r) => !existingReviewKeys.has(getReviewKey(r)) && !knownReviewIds?.has(r.reviewId));
+
+			const keptReviews = await addOriginalTexts(
+				page,
+				newReviews.filter((r) => isWithinStars(r) && !isOlderThanCutoff(r)),
+				selectorPack
+			);
+			allReviews.push(...keptReviews.map((r) => addReviewDates({
+				...r,
+				text: (textVersion === 'original' ? r.originalText : r.translatedText) || r.text,
+			}, now)));
 
-		previousReviewCount = currentReviews.length;
+			// Sorted lists can stop as soon as the rest of the list cannot match anymore
+			const lastReview = currentReviews[currentReviews.length - 1];
+			const pastCutoff = sort === 'newest' && lastReview && isOlderThanCutoff(lastReview);
+			const pastStars = typeof lastReview?.rating === 'number' && (
+				(sort === 'highestRating' && minStars !== undefined && lastReview.rating < minStars)
+				|| (sort === 'lowestRating' && maxStars !== undefined && lastReview.rating > maxStars)
+			);
+			const reachedKnown = sort === 'newest' && currentReviews.some((r) => knownReviewIds?.has(r.reviewId));
+			if (pastCutoff || pastStars || reachedKnown) {
+				break;
+			}
 
-		// Scroll down in the reviews panel
-		await page.evaluate(() => {
-			const reviewsPanel = document.querySelector('[role="main"]');
-			if (reviewsPanel) {
-				reviewsPanel.scrollBy(0, 1000);
+			// Check if we got new reviews
+			if (currentReviews.length === previousReviewCount) {
+				noNewReviewsCount++;
 			} else {
-				window.scrollBy(0, 1000);
+				noNewReviewsCount = 0;
 			}
-		});
-
-		await page.waitForTimeout(scrollDelay);
-
-		// Check if we've reached the end (no more scrollable content)
-		const canScroll = await page.evaluate(() => {
-			const reviewsPanel = document.querySelector('[role="main"]');
-			if (reviewsPanel) {
-				return (
-					reviewsPanel.scrollHeight >
-					reviewsPanel.scrollTop + reviewsPanel.clientHeight + 100
-				);
+
+			previousReviewCount = currentReviews.length;
+
+			// Scroll down in the reviews panel
+			await page.evaluate((selector) => {
+				const reviewsPanel = (selector && document.querySelector(selector)) || document.querySelector('[role="main"]');
+				if (reviewsPanel) {
+					reviewsPanel.scrollBy(0, 1000);
+				} else {
+					window.scrollBy(0, 1000);
+				}
+			}, selectorPack.review.scrollContainer);
+
+			await page.waitForTimeout(scrollDelay);
+
+			// Check if we've reached the end (no more scrollable content)
+			const canScroll = await page.evaluate((selector) => {
+				const reviewsPanel = (selector && document.querySelector(selector)) || document.querySelector('[role="main"]');
+				if (reviewsPanel) {
+					return (
+						reviewsPanel.scrollHeight >
+						reviewsPanel.scrollTop + reviewsPanel.clientHeight + 100
+					);
+				}
+				return window.innerHeight + window.scrollY < document.body.scrollHeight - 100;
+			}, selectorPack.review.scrollContainer);
+
+			if (!canScroll && noNewReviewsCount >= maxNoNewReviews) {
+				break;
 			}
-			return window.innerHeight + window.scrollY < document.body.scrollHeight - 100;
-		});
+		}
 
-		if (!canScroll && noNewReviewsCount >= maxNoNewReviews) {
-			break;
+		return allReviews.slice(0, maxReviews);
+	} finally {
+		try {
+			await openOverviewTab(page, selectorPack);
+		} catch {
+			// Overview tab might not be clickable, continue
 		}
 	}
-
-	return allReviews.slice(0, maxReviews);
 }
 
+/**
+ * Collects the reviews matching any of the given keywords
+ *
+ * Each keyword is searched through the "Search reviews" box and its results are
+ * collected like a normal review list, so maxReviews applies per keyword. Reviews
+ * found by several keywords are returned once.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Array<string>} keywords - Keywords to search for
+ * @param {Object} [options] - Extraction options, as for scrollAndExtractReviews()
+ * @returns {Promise<Array>} Matching reviews with matchedKeywords, the keywords that found them
+ */
+export async function searchAndExtractReviews(page, keywords, options = {}) {
+	const reviewsByKey = new Map();
+
+	for (const keyword of new Set(keywords.map((value) => value.trim()).filter(Boolean))) {
+		const reviews = await scrollAndExtractReviews(page, { ...options, keyword });
+		for (const review of reviews) {
+			const key = getReviewKey(review);
+			if (reviewsByKey.has(key)) {
+				reviewsByKey.get(key).matchedKeywords.push(keyword);
+			} else {
+				reviewsByKey.set(key, { ...review, matchedKeywords: [keyword] });
+			}
+		}
+		console.log(`🔎 ${reviews.length} reviews found for "${keyword}"`);
+	}
+
+	return [...reviewsByKey.values()];
+}
@@ -0,0 +1,102 @@
+/**
+ * Review Summary Utility
+ *
+ * Extracts the review overview of a place: the 1–5 star distribution bars and the
+ * "Refine reviews" topic chips.
+ *
+ * Features:
+ * - Review count per star level
+ * - Topic keywords with the number of reviews mentioning them ("latte" → 42)
+ */
+
+import { openOverviewTab, openReviewsTab } from './review-extractor.js';
+import { DEFAULT_SELECTOR_PACK, extractFields } from './selector-pack.js';
+
+/**
+ * Parses a count such as "1,234" or "1.234"
+ *
+ * @param {string} text - Count text
+ * @returns {number} Count
+ */
+function parseCount(text) {
+	return parseInt(text.replace(/[,.\s]/g, ''), 10);
+}
+
+/**
+ * Builds the star distribution from the histogram rows read from the page
+ *
+ * @param {Array<Object>} rows - Histogram rows ({ label }), labels such as "5 stars, 1,234 reviews"
+ * @returns {Object|null} Map of stars (1-5) → review count, or null if the page shows no histogram
+ */
+export function parseRatingHistogram(rows) {
+	const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+	let found = false;
+
+	for (const { label } of rows) {
+		const match = (label || '').match(/([1-5])\s*stars?,\s*(\d[\d,.\s]*)\s*reviews?/i);
+		if (match) {
+			histogram[match[1]] = parseCount(match[2]);
+			found = true;
+		}
+	}
+
+	return found ? histogram : null;
+}
+
+/**
+ * Builds the topic list from the "Refine reviews" chips read from the page
+ *
+ * @param {Array<Object>} chips - Chips ({ label, keyword, count }), labels such as
+ *   "latte, mentioned in 42 reviews"
+ * @returns {Array<Object>} Topics ({ keyword, count }); chips without a count, such as "All", are skipped
+ */
+export function parseReviewTopics(chips) {
+	const topics = [];
+
+	for (const chip of chips) {
+		const match = (chip.label || '').match(/^(.+?),\s*mentioned in\s+(\d[\d,.]*)\s+reviews?/i);
+		const keyword = (match?.[1] || chip.keyword || '').trim();
+		const count = match?.[2] || chip.count;
+		if (keyword && count) {
+			topics.push({ keyword, count: parseCount(String(count)) });
+		}
+	}
+
+	return topics;
+}
+
+/**
+ * Extracts the star distribution and review topics from a place detail page
+ *
+ * The histogram is part of the Overview tab; topic chips only appear on the Reviews
+ * tab, which is opened when no chips are found. The Overview tab (about.overviewTab of
+ * the pack) is always opened again afterwards, also when the chips were already shown,
+ * so photo extraction does not pick up reviewer avatars and review photos.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {Object} [selectorPack=DEFAULT_SELECTOR_PACK] - Selector pack to parse with
+ * @returns {Promise<Object>} Object with ratingHistogram (see parseRatingHistogram) and
+ *   reviewTopics (see parseReviewTopics)
+ */
+export async function extractReviewSummary(page, selectorPack = DEFAULT_SELECTOR_PACK) {
+	const { ratingHistogram, reviewTopics } = selectorPack;
+
+	let histogramRows = ratingHistogram ? await page.evaluate(extractFields, ratingHistogram) : [];
+	let chips = reviewTopics ? await page.evaluate(extractFields, reviewTopics) : [];
+
+	if (reviewTopics && chips.length === 0 && await openReviewsTab(page, selectorPack)) {
+		chips = await page.evaluate(extractFields, reviewTopics);
+		// The Reviews tab shows the histogram too
+		if (ratingHistogram && histogramRows.length === 0) {
+			histogramRows = await page.evaluate(extractFields, ratingHistogram);
+		}
+	}
+	if (reviewTopics) {
+		await openOverviewTab(page, selectorPack);
+	}
+
+	return {
+		ratingHistogram: parseRatingHistogram(histogramRows),
+		reviewTopics: parseReviewTopics(chips),
+	};
+}
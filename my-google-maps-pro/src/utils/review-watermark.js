@@ -0,0 +1,85 @@
+/**
+ * Review Watermark Utility
+ *
+ * Remembers the newest reviews seen for each place in a named key-value store, so
+ * that repeated runs only harvest reviews posted since the previous run.
+ *
+ * Features:
+ * - One watermark per place, keyed by CID, place ID or feature ID
+ * - Latest review IDs to stop at when reviews are sorted by newest
+ * - Latest review date as a fallback cutoff when the seen reviews were deleted
+ */
+
+import { Actor } from 'apify';
+
+import { getPlaceKey } from './place-input.js';
+
+/**
+ * Name of the key-value store watermarks are kept in, shared across runs
+ */
+export const DEFAULT_WATERMARK_STORE_NAME = 'google-maps-review-watermarks';
+
+/**
+ * Number of latest review IDs kept per place
+ */
+export const MAX_WATERMARK_REVIEW_IDS = 50;
+
+/**
+ * Derives the key-value store key of a place's watermark
+ *
+ * @param {Object} place - Place data with cid, placeId and url
+ * @returns {string} Store key (letters, digits and -_.!'() only)
+ */
+export function getWatermarkKey(place) {
+	let key;
+	if (place.cid) {
+		key = `cid-${place.cid}`;
+	} else if (place.placeId) {
+		key = `place-${place.placeId}`;
+	} else {
+		key = `url-${getPlaceKey(place.url)}`;
+	}
+	return key.replace(/[^\w\-.!'()]/g, '_').slice(0, 250);
+}
+
+/**
+ * Opens the named key-value store holding the watermarks
+ *
+ * @param {string} [name=DEFAULT_WATERMARK_STORE_NAME] - Store name
+ * @returns {Promise<Object>} Key-value store
+ */
+export async function openWatermarkStore(name = DEFAULT_WATERMARK_STORE_NAME) {
+	return Actor.openKeyValueStore(name);
+}
+
+/**
+ * Reads the review cutoff date of a watermark
+ *
+ * @param {Object|null} watermark - Watermark from the store
+ * @returns {Date|null} Earliest date the newest seen review can have, or null
+ */
+export function getWatermarkSince(watermark) {
+	return watermark?.latestReviewDate ? new Date(watermark.latestReviewDate) : null;
+}
+
+/**
+ * Builds the watermark to store after a run
+ *
+ * @param {Object|null} previous - Watermark from the previous run
+ * @param {Array<Object>} reviews - Reviews harvested in this run, newest first
+ * @param {Date} [now=new Date()] - Scrape time
+ * @returns {Object|null} Watermark with reviewIds, latestReviewDate and updatedAt.
+ *   The previous watermark is returned unchanged when there are no new reviews.
+ */
+export function updateReviewWatermark(previous, reviews, now = new Date()) {
+	const reviewIds = reviews.map((review) => review.reviewId).filter(Boolean);
+	if (reviewIds.length === 0) {
+		return previous;
+	}
+
+	return {
+		reviewIds: [...new Set([...reviewIds, ...(previous?.reviewIds || [])])].slice(0, MAX_WATERMARK_REVIEW_IDS),
+		latestReviewDate: reviews[0].dateRange?.from || previous?.latestReviewDate || null,
+		updatedAt: now.toISOString(),
+	};
+}
@@ -0,0 +1,194 @@
+/**
+ * Run Summary Utility
+ *
+ * Collects statistics while the actor runs and turns them into the RUN_SUMMARY
+ * record, so a run can be judged without reading its log. Field fill rates make
+ * selector rot show up as a coverage drop between runs.
+ *
+ * Features:
+ * - Places found, enqueued and scraped per search
+ * - Failures by stage (search, detail, contributor requests; reviews, photos, contact, ... extraction)
+ * - CAPTCHA encounters and solves
+ * - Handler timings per request type
+ * - Fill rate of every place item field
+ *
+ * Stats are plain objects, so they can be kept in persisted actor state; the record
+ * functions return new stats objects.
+ */
+
+/**
+ * Key of the summary record in the default key-value store
+ */
+export const RUN_SUMMARY_KEY = 'RUN_SUMMARY';
+
+/**
+ * Creates the stats of a run that has not started yet
+ *
+ * @returns {Object} Stats with searches, failures, captchas, timings and coverage
+ */
+export function createRunStats() {
+	return {
+		searches: {},
+		failures: {},
+		captchas: { encountered: 0, solved: 0 },
+		timings: {},
+		coverage: { places: 0, fields: {} },
+	};
+}
+
+/**
+ * Adds enqueued or scraped places to the counts of a search
+ *
+ * @param {Object} stats - Run stats
+ * @param {number} searchIndex - Position of the search in the input
+ * @param {Object} counts - Counts to add ({ enqueued, scraped })
+ * @returns {Object} New stats
+ */
+export function recordSearchStats(stats, searchIndex, { enqueued = 0, scraped = 0 }) {
+	const previous = stats.searches[searchIndex] || { enqueued: 0, scraped: 0 };
+	return {
+		...stats,
+		searches: {
+			...stats.searches,
+			[searchIndex]: { enqueued: previous.enqueued + enqueued, scraped: previous.scraped + scraped },
+		},
+	};
+}
+
+/**
+ * Counts a failure
+ *
+ * @param {Object} stats - Run stats
+ * @param {string} stage - Failed stage: a request type (search, detail, contributor) or an
+ *   extraction step (reviews, photos, contact, ...)
+ * @returns {Object} New stats
+ */
+export function recordFailure(stats, stage) {
+	return { ...stats, failures: { ...stats.failures, [stage]: (stats.failures[stage] || 0) + 1 } };
+}
+
+/**
+ * Counts a CAPTCHA encounter or solve
+ *
+ * @param {Object} stats - Run stats
+ * @param {string} outcome - 'encountered' or 'solved'
+ * @returns {Object} New stats
+ */
+export function recordCaptcha(stats, outcome) {
+	return { ...stats, captchas: { ...stats.captchas, [outcome]: stats.captchas[outcome] + 1 } };
+}
+
+/**
+ * Adds the duration of a handled request
+ *
+ * @param {Object} stats - Run stats
+ * @param {string} stage - Request type (search, detail, contributor)
+ * @param {number} millis - Handler duration in milliseconds
+ * @returns {Object} New stats
+ */
+export function recordTiming(stats, stage, millis) {
+	const previous = stats.timings[stage] || { count: 0, totalMillis: 0 };
+	return {
+		...stats,
+		timings: { ...stats.timings, [stage]: { count: previous.count + 1, totalMillis: previous.totalMillis + millis } },
+	};
+}
+
+/**
+ * Checks whether a field has a value worth counting
+ *
+ * @param {*} value - Field value
+ * @returns {boolean} False for null, undefined, empty strings, empty arrays and empty objects
+ */
+function isFilled(value) {
+	if (value === null || value === undefined || value === '') {
+		return false;
+	}
+	if (Array.isArray(value)) {
+		return value.length > 0;
+	}
+	if (typeof value === 'object') {
+		return Object.keys(value).length > 0;
+	}
+	return true;
+}
+
+/**
+ * Counts the filled fields of a pushed place item
+ *
+ * @param {Object} stats - Run stats
+ * @param {Object} place - Place item
+ * @returns {Object} New stats
+ */
+export function recordFieldCoverage(stats, place) {
+	const fields = { ...stats.coverage.fields };
+	for (const [name, value] of Object.entries(place)) {
+		fields[name] = (fields[name] || 0) + (isFilled(value) ? 1 : 0);
+	}
+	return { ...stats, coverage: { places: stats.coverage.places + 1, fields } };
+}
+
+/**
+ * Rounds a share to three decimals
+ *
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {number|null} count / total, or null for an empty whole
+ */
+function toRate(count, total) {
+	return total > 0 ? Math.round((count / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Builds the run summary record
+ *
+ * @param {Object} stats - Run stats
+ * @param {Object} context
+ * @param {Array<Object>} [context.searches=[]] - Searches from the input
+ * @param {Object} [context.searchHits={}] - Search hits registry (see search-hits.js), for the places found
+ * @param {Object} [context.requests={}] - Crawler statistics (requestsFinished, requestsFailed, requestsRetries)
+ * @param {Date} context.startedAt - Run start
+ * @param {Date} [context.finishedAt=new Date()] - Run end
+ * @param {string|null} [context.error=null] - Error message of a failed run
+ * @returns {Object} Summary with status, timings, requests, searches, places, failures, captchas and fieldCoverage
+ */
+export function buildRunSummary(stats, { searches = [], searchHits = {}, requests = {}, startedAt, finishedAt = new Date(), error = null }) {
+	const found = {};
+	for (const hits of Object.values(searchHits)) {
+		for (const { searchIndex } of hits) {
+			found[searchIndex] = (found[searchIndex] || 0) + 1;
+		}
+	}
+
+	const { places } = stats.coverage;
+	return {
+		status: error ? 'FAILED' : 'SUCCEEDED',
+		error,
+		startedAt: startedAt.toISOString(),
+		finishedAt: finishedAt.toISOString(),
+		durationSecs: Math.round((finishedAt - startedAt) / 1000),
+		timings: Object.fromEntries(Object.entries(stats.timings).map(([stage, { count, totalMillis }]) => [
+			stage,
+			{ count, totalMillis, averageMillis: Math.round(totalMillis / count) },
+		])),
+		requests: {
+			finished: requests.requestsFinished ?? null,
+			failed: requests.requestsFailed ?? null,
+			retries: requests.requestsRetries ?? null,
+		},
+		searches: searches.map((search, index) => ({
+			searchIndex: index,
+			query: search.query,
+			location: search.location ?? null,
+			found: found[index] || 0,
+			enqueued: stats.searches[index]?.enqueued || 0,
+			scraped: stats.searches[index]?.scraped || 0,
+		})),
+		places,
+		failures: stats.failures,
+		captchas: stats.captchas,
+		fieldCoverage: Object.fromEntries(Object.entries(stats.coverage.fields)
+			.sort(([a], [b]) => a.localeCompare(b))
+			.map(([name, count]) => [name, { count, rate: toRate(count, places) }])),
+	};
+}
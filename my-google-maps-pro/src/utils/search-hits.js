@@ -0,0 +1,57 @@
+/**
+ * Search Hits Utility
+ *
+ * Records which searches surfaced each place, so a place found by several
+ * overlapping searches ("coffee shops" and "cafes" in the same city) is scraped
+ * once and its item lists every search that found it.
+ *
+ * Features:
+ * - Registry of search hits keyed by place (see getPlaceKey in place-input.js)
+ * - One hit per input search, with the best rank when area tiles find a place twice
+ * - Area filtering that keeps places any of their searches accepts
+ *
+ * The registry is a plain object so it can be kept in persisted actor state.
+ */
+
+/**
+ * Records the places a search found, ranked by their position in the results
+ *
+ * @param {Object} registry - Search hits by place key
+ * @param {Object} search - Search ({ searchIndex, query, location }); searchIndex is the
+ *   position of the search in the input
+ * @param {Array<string>} placeKeys - Keys of the places found (see getPlaceKey), in result order
+ * @returns {Object} New registry including these hits
+ */
+export function recordSearchHits(registry, search, placeKeys) {
+	const updated = { ...registry };
+
+	placeKeys.forEach((placeKey, index) => {
+		const hits = updated[placeKey] || [];
+		const existing = hits.find((entry) => entry.searchIndex === search.searchIndex);
+		if (existing && existing.rank <= index + 1) {
+			return;
+		}
+		updated[placeKey] = [
+			...hits.filter((entry) => entry !== existing),
+			{ searchIndex: search.searchIndex, query: search.query, location: search.location ?? null, rank: index + 1 },
+		];
+	});
+
+	return updated;
+}
+
+/**
+ * Lists the searches that found a place
+ *
+ * @param {Object} registry - Search hits by place key
+ * @param {string|null} placeKey - Place key (see getPlaceKey)
+ * @param {Map<number, Function>} [areaFilters] - Area filters by search index (see createAreaFilter);
+ *   hits of area searches whose area does not contain the place are left out
+ * @param {Object|null} [gps] - Place position ({ lat, lng }) the area filters are applied to
+ * @returns {Array<Object>} Search hits ({ searchIndex, query, location, rank }), best rank first
+ */
+export function getSearchHits(registry, placeKey, areaFilters = new Map(), gps = null) {
+	return (registry[placeKey] || [])
+		.filter(({ searchIndex }) => !gps || !areaFilters.has(searchIndex) || areaFilters.get(searchIndex)(gps))
+		.sort((a, b) => a.rank - b.rank);
+}
@@ -0,0 +1,153 @@
+/**
+ * Search URL Utility
+ *
+ * Builds Google Maps search URLs centered on a viewport (@lat,lng,zoomz) so
+ * results are scoped to a specific area, and reads the viewport back from a
+ * Google Maps URL.
+ *
+ * Features:
+ * - Coordinate-centered search URLs with zoom
+ * - English interface (hl=en) on every URL, so the English label parsers of the
+ *   place page extractors work whatever country the proxy is in
+ * - Viewport parsing from Google Maps URLs
+ * - Validation of per-search coordinates and zoom
+ * - SEARCH request construction from actor input
+ */
+
+/**
+ * Google Maps start page, where typed searches are entered
+ */
+export const MAPS_HOME_URL = 'https://www.google.com/maps?hl=en';
+
+/**
+ * Zoom used when a search has coordinates but no zoom
+ */
+export const DEFAULT_SEARCH_ZOOM = 15;
+
+/**
+ * Builds a Google Maps search URL centered on the given viewport
+ *
+ * @param {Object} options - Search options
+ * @param {string} options.query - Search query
+ * @param {number} options.lat - Latitude of the viewport center
+ * @param {number} options.lng - Longitude of the viewport center
+ * @param {number} [options.zoom=DEFAULT_SEARCH_ZOOM] - Zoom level
+ * @returns {string} Search URL, e.g. https://www.google.com/maps/search/dentists/@40.7,-73.9,15z?hl=en
+ */
+export function buildSearchUrl({ query, lat, lng, zoom = DEFAULT_SEARCH_ZOOM }) {
+	const encodedQuery = encodeURIComponent(query.trim()).replace(/%20/g, '+');
+	return `https://www.google.com/maps/search/${encodedQuery}/@${lat},${lng},${zoom}z?hl=en`;
+}
+
+/**
+ * Builds a Google Maps URL that looks up a location, used to geocode it
+ *
+ * @param {string} location - Location name, e.g. "Williamsburg, Brooklyn"
+ * @returns {string} Location search URL
+ */
+export function buildLocationUrl(location) {
+	return `https://www.google.com/maps/search/${encodeURIComponent(location.trim()).replace(/%20/g, '+')}?hl=en`;
+}
+
+/**
+ * Reads the viewport (map center and zoom) from a Google Maps URL
+ *
+ * @param {string} url - Google Maps URL
+ * @returns {Object|null} Object with lat, lng and zoom, or null if the URL has no viewport
+ */
+export function parseViewportFromUrl(url) {
+	const match = url?.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?),(\d+(?:\.\d+)?)z/);
+	if (!match) {
+		return null;
+	}
+	return {
+		lat: parseFloat(match[1]),
+		lng: parseFloat(match[2]),
+		zoom: parseFloat(match[3]),
+	};
+}
+
+/**
+ * Validates the coordinates and zoom of a search from the actor input
+ *
+ * @param {Object} search - Search input ({ query, location?, lat?, lng?, zoom? })
+ * @throws {Error} If coordinates or zoom are incomplete or out of range
+ */
+export function validateSearchViewport(search) {
+	const { lat, lng, zoom } = search;
+	const hasLat = lat !== undefined && lat !== null;
+	const hasLng = lng !== undefined && lng !== null;
+
+	if (hasLat !== hasLng) {
+		throw new Error(`Search "${search.query}" must set both lat and lng`);
+	}
+	if (hasLat && (typeof lat !== 'number' || lat < -90 || lat > 90)) {
+		throw new Error(`Invalid latitude for search "${search.query}": ${lat}. Must be between -90 and 90.`);
+	}
+	if (hasLng && (typeof lng !== 'number' || lng < -180 || lng > 180)) {
+		throw new Error(`Invalid longitude for search "${search.query}": ${lng}. Must be between -180 and 180.`);
+	}
+	if (zoom !== undefined && zoom !== null && (typeof zoom !== 'number' || zoom < 1 || zoom > 21)) {
+		throw new Error(`Invalid zoom for search "${search.query}": ${zoom}. Must be between 1 and 21.`);
+	}
+}
+
+/**
+ * Creates the SEARCH request for a search from the actor input
+ *
+ * Searches with coordinates open the centered search URL directly. Searches with a
+ * location and zoom are geocoded first by the SEARCH handler. Other searches keep
+ * typing "query location" into the search box.
+ *
+ * @param {Object} search - Search input ({ query, location?, lat?, lng?, zoom? })
+ * @returns {Object} Request object for the crawler
+ * @throws {Error} If the search coordinates are invalid
+ */
+export function createSearchRequest(search) {
+	validateSearchViewport(search);
+
+	const hasCoordinates = typeof search.lat === 'number' && typeof search.lng === 'number';
+	const viewport = hasCoordinates
+		? { lat: search.lat, lng: search.lng, zoom: search.zoom ?? DEFAULT_SEARCH_ZOOM }
+		: null;
+
+	const query = search.query + (search.location && !viewport ? ` ${search.location}` : '');
+	const viewportKey = viewport ? `${viewport.lat},${viewport.lng},${viewport.zoom}` : (search.zoom ?? '');
+
+	return {
+		url: viewport ? buildSearchUrl({ query: search.query, ...viewport }) : MAPS_HOME_URL,
+		// Typed searches all start from the same URL, so they need their own key to not be deduplicated
+		uniqueKey: `search:${query}|${viewportKey}`,
+		userData: {
+			label: 'SEARCH',
+			query,
+			searchQuery: search.query,
+			location: search.location || null,
+			zoom: search.zoom ?? null,
+			viewport,
+		},
+	};
+}
+
+/**
+ * Geocodes a location by letting Google Maps center the map on it
+ *
+ * @param {Object} page - Playwright page object
+ * @param {string} location - Location name, e.g. "Williamsburg, Brooklyn"
+ * @param {Object} [options] - Geocoding options
+ * @param {number} [options.timeout=15000] - Maximum time to wait for the map to center, in milliseconds
+ * @returns {Promise<Object|null>} Object with lat and lng, or null if the location could not be found
+ */
+export async function geocodeLocation(page, location, options = {}) {
+	const { timeout = 15000 } = options;
+
+	await page.goto(buildLocationUrl(location));
+	try {
+		await page.waitForURL(/@-?\d+(\.\d+)?,-?\d+(\.\d+)?,/, { timeout });
+	} catch {
+		return null;
+	}
+
+	const viewport = parseViewportFromUrl(page.url());
+	return viewport ? { lat: viewport.lat, lng: viewport.lng } : null;
+}
@@ -0,0 +1,283 @@
+/**
+ * Selector Pack Utility
+ *
+ * Loads, validates and applies selector packs: versioned JSON definitions of the
+ * CSS selectors and fallback chains used to parse Google Maps pages.
+ * Packs can be patched through actor input, so a broken selector can be fixed
+ * without redeploying code.
+ *
+ * Features:
+ * - Bundled default pack (src/selector-packs/default.json)
+ * - Partial overrides deep-merged on top of the default pack
+ * - Pack validation with descriptive errors
+ * - Generic in-page field resolution with selector fallback chains
+ *
+ * Pack format:
+ * - A section (search, place, review) is a group: { container?, fields }
+ * - A field is either a nested group or { selectors, attribute?, property?,
+ *   fallbackToText?, pattern?, type?, multiple? }
+ * - Selectors are tried in order; the first non-empty value wins
+ * - A multiple field returns the values of all elements matched by the first
+ *   selector that matches any
+ * - Optional sections (hours, hoursStatus, popularTimes, popularTimesSummary,
+ *   about, ratingHistogram, reviewTopics, contributor, contributorReview) may be
+ *   left out of standalone packs
+ */
+
+import { readFileSync } from 'node:fs';
+
+/**
+ * Sections every selector pack must define
+ */
+const REQUIRED_SECTIONS = ['search', 'place', 'review'];
+
+/**
+ * Sections validated only when a pack defines them
+ */
+const OPTIONAL_SECTIONS = [
+	'hours',
+	'hoursStatus',
+	'popularTimes',
+	'popularTimesSummary',
+	'about',
+	'ratingHistogram',
+	'reviewTopics',
+	'contributor',
+	'contributorReview',
+];
+
+/**
+ * Selectors of elements to interact with (click, scroll) kept next to a section's fields
+ */
+const SECTION_ACTION_KEYS = {
+	review: ['tab', 'sortButton', 'sortMenuItem', 'scrollContainer', 'translationToggle', 'searchButton', 'searchInput'],
+	hours: ['expand'],
+	popularTimes: ['scrollContainer'],
+	about: ['tab', 'overviewTab'],
+	contributorReview: ['scrollContainer', 'translationToggle'],
+};
+
+/**
+ * Selector pack bundled with the actor
+ */
+export const DEFAULT_SELECTOR_PACK = JSON.parse(
+	readFileSync(new URL('../selector-packs/default.json', import.meta.url), 'utf-8')
+);
+
+/**
+ * Deep-merges an override into a base object. Arrays and primitives are replaced.
+ *
+ * @param {Object} base - Base object
+ * @param {Object} override - Override object
+ * @returns {Object} New merged object
+ */
+function mergeDeep(base, override) {
+	const merged = { ...base };
+	for (const [key, value] of Object.entries(override)) {
+		const isObject = value && typeof value === 'object' && !Array.isArray(value);
+		merged[key] = isObject && base?.[key] && typeof base[key] === 'object'
+			? mergeDeep(base[key], value)
+			: value;
+	}
+	return merged;
+}
+
+/**
+ * Validates a group of field definitions
+ *
+ * @param {Object} group - Group definition ({ container?, fields })
+ * @param {string} path - Path of the group inside the pack, used in error messages
+ * @throws {Error} If the group or any of its fields is malformed
+ */
+function validateGroup(group, path) {
+	if (!group || typeof group !== 'object' || !group.fields || typeof group.fields !== 'object') {
+		throw new Error(`Invalid selector pack: ${path}.fields must be an object`);
+	}
+	if (group.container !== undefined && typeof group.container !== 'string') {
+		throw new Error(`Invalid selector pack: ${path}.container must be a string`);
+	}
+
+	for (const [name, field] of Object.entries(group.fields)) {
+		const fieldPath = `${path}.${name}`;
+		if (field?.fields) {
+			if (typeof field.container !== 'string') {
+				throw new Error(`Invalid selector pack: ${fieldPath}.container must be a string`);
+			}
+			validateGroup(field, fieldPath);
+			continue;
+		}
+
+		const { selectors, pattern, type, multiple } = field || {};
+		if (!Array.isArray(selectors) || selectors.length === 0 || selectors.some((s) => typeof s !== 'string')) {
+			throw new Error(`Invalid selector pack: ${fieldPath}.selectors must be a non-empty array of strings`);
+		}
+		if (pattern !== undefined) {
+			try {
+				RegExp(pattern);
+			} catch {
+				throw new Error(`Invalid selector pack: ${fieldPath}.pattern is not a valid regular expression`);
+			}
+		}
+		if (type !== undefined && !['integer', 'number'].includes(type)) {
+			throw new Error(`Invalid selector pack: ${fieldPath}.type must be "integer" or "number"`);
+		}
+		if (multiple !== undefined && typeof multiple !== 'boolean') {
+			throw new Error(`Invalid selector pack: ${fieldPath}.multiple must be a boolean`);
+		}
+	}
+}
+
+/**
+ * Validates a complete selector pack
+ *
+ * @param {Object} pack - Selector pack definition
+ * @returns {Object} The same pack, if valid
+ * @throws {Error} If the pack is malformed
+ */
+export function validateSelectorPack(pack) {
+	if (!pack || typeof pack !== 'object') {
+		throw new Error('Invalid selector pack: pack must be an object');
+	}
+	if (!pack.version || typeof pack.version !== 'string') {
+		throw new Error('Invalid selector pack: version must be a non-empty string');
+	}
+	for (const section of REQUIRED_SECTIONS) {
+		validateGroup(pack[section], section);
+	}
+	for (const section of OPTIONAL_SECTIONS.filter((name) => pack[name] !== undefined)) {
+		validateGroup(pack[section], section);
+	}
+	for (const [section, keys] of Object.entries(SECTION_ACTION_KEYS)) {
+		for (const key of keys.filter((name) => pack[section]?.[name] !== undefined)) {
+			if (typeof pack[section][key] !== 'string') {
+				throw new Error(`Invalid selector pack: ${section}.${key} must be a string`);
+			}
+		}
+	}
+	if (typeof pack.search.container !== 'string' || typeof pack.review.container !== 'string') {
+		throw new Error('Invalid selector pack: search.container and review.container are required');
+	}
+	return pack;
+}
+
+/**
+ * Builds the effective selector pack from an input override
+ *
+ * The override may be a complete pack or a partial one: it is deep-merged on top
+ * of the default pack, so { place: { fields: { phone: { selectors: [...] } } } }
+ * only replaces the phone fallback chain.
+ *
+ * @param {Object} [override] - Selector pack or partial override from actor input
+ * @param {Object} [basePack=DEFAULT_SELECTOR_PACK] - Pack to apply the override to
+ * @returns {Object} Validated selector pack
+ * @throws {Error} If the resulting pack is malformed
+ */
+export function resolveSelectorPack(override, basePack = DEFAULT_SELECTOR_PACK) {
+	if (!override) {
+		return basePack;
+	}
+	const pack = mergeDeep(basePack, override);
+	// An override without its own version is a patch of the base pack
+	if (!override.version) {
+		pack.version = `${basePack.version}+patch`;
+	}
+	return validateSelectorPack(pack);
+}
+
+/**
+ * Returns a short label identifying a selector pack, e.g. "default@1.0.0"
+ *
+ * @param {Object} pack - Selector pack definition
+ * @returns {string} Pack label
+ */
+export function getSelectorPackLabel(pack) {
+	return `${pack.name || 'custom'}@${pack.version}`;
+}
+
+/**
+ * Resolves a group of field definitions against the DOM.
+ *
+ * Runs inside the browser via page.evaluate(), so it must stay self-contained.
+ * Without a container the group is resolved once against the document; with one,
+ * it is resolved for every matching element and an array is returned.
+ *
+ * @param {Object} group - Group definition ({ container?, fields })
+ * @returns {Object|Array<Object>} Resolved field values
+ */
+export function extractFields(group) {
+	const readValue = (element, field) => {
+		const text = () => (field.property === 'innerText' ? element.innerText : element.textContent)?.trim();
+		let value = field.attribute ? element.getAttribute(field.attribute)?.trim() : text();
+		if (!value && field.attribute && field.fallbackToText) {
+			value = text();
+		}
+		if (value && field.pattern) {
+			value = value.match(new RegExp(field.pattern))?.[1] || null;
+		}
+		if (value && field.type === 'integer') {
+			value = parseInt(value, 10);
+		} else if (value && field.type === 'number') {
+			value = parseFloat(value);
+		}
+		return value || value === 0 ? value : null;
+	};
+
+	const resolveGroup = (root, fields) => {
+		const result = {};
+		for (const [name, field] of Object.entries(fields)) {
+			if (field.fields) {
+				const groupRoot = root.querySelector(field.container);
+				result[name] = groupRoot ? resolveGroup(groupRoot, field.fields) : null;
+				continue;
+			}
+
+			if (field.multiple) {
+				result[name] = [];
+				for (const selector of field.selectors) {
+					const elements = selector === ':scope' ? [root] : Array.from(root.querySelectorAll(selector));
+					if (elements.length > 0) {
+						result[name] = elements.map((element) => readValue(element, field)).filter((value) => value !== null);
+						break;
+					}
+				}
+				continue;
+			}
+
+			result[name] = null;
+			for (const selector of field.selectors) {
+				const element = selector === ':scope' ? root : root.querySelector(selector);
+				const value = element ? readValue(element, field) : null;
+				if (value !== null) {
+					result[name] = value;
+					break;
+				}
+			}
+		}
+		return result;
+	};
+
+	if (!group.container) {
+		return resolveGroup(document, group.fields);
+	}
+	return Array.from(document.querySelectorAll(group.container)).map((root) => resolveGroup(root, group.fields));
+}
+
+/**
+ * Records how many fields a selector pack filled for one place
+ *
+ * @param {Object} yieldStats - Accumulated stats, keyed by pack label
+ * @param {string} label - Selector pack label
+ * @param {Object} fields - Extracted place fields
+ * @returns {Object} New stats object including this place
+ */
+export function recordFieldYield(yieldStats, label, fields) {
+	const previous = yieldStats[label] || { places: 0, fields: {} };
+	const fieldCounts = { ...previous.fields };
+	for (const [name, value] of Object.entries(fields)) {
+		fieldCounts[name] = (fieldCounts[name] || 0) + (value !== null && value !== undefined ? 1 : 0);
+	}
+	return {
+		...yieldStats,
+		[label]: { places: previous.places + 1, fields: fieldCounts },
+	};
+}
@@ -0,0 +1,219 @@
+/**
+ * Webhook Utility
+ *
+ * Posts scraped places and the final run summary as signed JSON to HTTP endpoints,
+ * so pipelines can ingest results while the run is going instead of polling.
+ *
+ * Features:
+ * - One POST per pushed place, or batches of places
+ * - Run summary on success or failure
+ * - HMAC-SHA256 signature of the body with a shared secret
+ * - Retries with exponential backoff on network errors, timeouts, 429 and 5xx responses
+ */
+
+import { createHmac, randomUUID } from 'node:crypto';
+
+/**
+ * Kinds of webhook payloads, sent in the X-Webhook-Event header and as eventType
+ */
+export const WEBHOOK_EVENTS = {
+	PLACES: 'PLACES',
+	RUN_SUCCEEDED: 'RUN_SUCCEEDED',
+	RUN_FAILED: 'RUN_FAILED',
+};
+
+/**
+ * Header carrying the body signature ("sha256=<hex>")
+ */
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+/**
+ * Normalizes the webhook settings from the actor input
+ *
+ * @param {Object} [config={}] - Webhook configuration ({ urls, secret, batchSize, maxRetries, timeoutSecs })
+ * @returns {Object|null} Settings with urls, secret, batchSize, maxRetries and timeoutSecs, or null without URLs
+ * @throws {Error} If a URL is not an http(s) URL or the batch size is not positive
+ */
+export function normalizeWebhookConfig(config = {}) {
+	const urls = (config?.urls || []).map((url) => url.trim()).filter(Boolean);
+	if (urls.length === 0) {
+		return null;
+	}
+
+	for (const url of urls) {
+		let protocol;
+		try {
+			({ protocol } = new URL(url));
+		} catch {
+			protocol = null;
+		}
+		if (protocol !== 'http:' && protocol !== 'https:') {
+			throw new Error(`Invalid webhook URL: ${url}`);
+		}
+	}
+
+	const batchSize = config.batchSize ?? 1;
+	if (!Number.isInteger(batchSize) || batchSize < 1) {
+		throw new Error(`Invalid webhook batch size: ${batchSize}`);
+	}
+
+	return {
+		urls,
+		secret: config.secret || null,
+		batchSize,
+		maxRetries: config.maxRetries ?? 3,
+		timeoutSecs: config.timeoutSecs ?? 10,
+	};
+}
+
+/**
+ * Signs a webhook body
+ *
+ * Receivers recompute the HMAC-SHA256 of the raw request body with the shared secret
+ * and compare it with the X-Webhook-Signature header.
+ *
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - Shared secret
+ * @returns {string} Signature such as "sha256=5d41..."
+ */
+export function signWebhookBody(body, secret) {
+	return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Builds the body and headers of a webhook POST
+ *
+ * @param {string} eventType - One of WEBHOOK_EVENTS
+ * @param {Object} data - Payload fields (items for PLACES, the summary for run events)
+ * @param {Object} [options]
+ * @param {string|null} [options.secret] - Shared secret to sign the body with
+ * @param {string} [options.deliveryId] - ID kept across retries, for receivers to drop repeats
+ * @param {Date} [options.now=new Date()] - Send time
+ * @returns {Object} Object with body (JSON string) and headers
+ */
+export function buildWebhookRequest(eventType, data, { secret = null, deliveryId = randomUUID(), now = new Date() } = {}) {
+	const body = JSON.stringify({ eventType, deliveryId, sentAt: now.toISOString(), ...data });
+	return {
+		body,
+		headers: {
+			'Content-Type': 'application/json',
+			'X-Webhook-Event': eventType,
+			'X-Webhook-Delivery': deliveryId,
+			...(secret && { [SIGNATURE_HEADER]: signWebhookBody(body, secret) }),
+		},
+	};
+}
+
+/**
+ * Posts a webhook, retrying network errors, timeouts, 429 and 5xx responses
+ *
+ * Each attempt is aborted after timeoutMillis, so a slow endpoint cannot hold up
+ * the request handler that sends the webhook.
+ *
+ * @param {string} url - Endpoint URL
+ * @param {Object} request - Body and headers (see buildWebhookRequest)
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries=3] - Retries after the first attempt
+ * @param {number} [options.retryDelayMillis=1000] - Delay before the first retry, doubled per retry
+ * @param {number} [options.timeoutMillis=10000] - Time limit of one attempt
+ * @returns {Promise<Object>} Object with url, ok, status (null on network errors and timeouts), attempts and error
+ */
+export async function postWebhook(url, request, { maxRetries = 3, retryDelayMillis = 1000, timeoutMillis = 10000 } = {}) {
+	let status = null;
+	let error = null;
+
+	for (let attempt = 0; attempt <= maxRetries; attempt++) {
+		try {
+			const response = await fetch(url, {
+				method: 'POST',
+				headers: request.headers,
+				body: request.body,
+				signal: AbortSignal.timeout(timeoutMillis),
+			});
+			status = response.status;
+			error = response.ok ? null : `HTTP ${status}`;
+			// Release the connection; the response body is not used
+			await response.arrayBuffer();
+		} catch (fetchError) {
+			status = null;
+			error = fetchError.message;
+		}
+
+		const retryable = status === null || status === 429 || status >= 500;
+		if (!error || !retryable) {
+			return { url, ok: !error, status, attempts: attempt + 1, error };
+		}
+		if (attempt < maxRetries) {
+			await new Promise((resolve) => {
+				setTimeout(resolve, retryDelayMillis * 2 ** attempt);
+			});
+		}
+	}
+
+	return { url, ok: false, status, attempts: maxRetries + 1, error };
+}
+
+/**
+ * Sends a webhook to every configured endpoint
+ *
+ * Failed deliveries are logged, not thrown, so they never fail the scrape.
+ *
+ * @param {Object} config - Settings from normalizeWebhookConfig()
+ * @param {string} eventType - One of WEBHOOK_EVENTS
+ * @param {Object} data - Payload fields
+ * @param {Object} [options] - Options for postWebhook() (retryDelayMillis) and buildWebhookRequest() (now)
+ * @returns {Promise<Array<Object>>} Delivery results per endpoint (see postWebhook)
+ */
+export async function sendWebhooks(config, eventType, data, options = {}) {
+	const request = buildWebhookRequest(eventType, data, { secret: config.secret, now: options.now });
+	const results = await Promise.all(
+		config.urls.map((url) => postWebhook(url, request, {
+			maxRetries: config.maxRetries,
+			retryDelayMillis: options.retryDelayMillis,
+			timeoutMillis: (config.timeoutSecs ?? 10) * 1000,
+		}))
+	);
+
+	for (const result of results.filter((entry) => !entry.ok)) {
+		console.error(`Webhook ${eventType} to ${result.url} failed after ${result.attempts} attempts: ${result.error}`);
+	}
+	return results;
+}
+
+/**
+ * Place deliveries in progress, so concurrent request handlers send one batch at a time
+ */
+let placeDeliveries = Promise.resolve();
+
+/**
+ * Sends places to every endpoint, batchSize places per POST, and removes the delivered
+ * places from the front of the list
+ *
+ * Calls are queued and read the list when their turn comes, so a batch is never posted
+ * by two request handlers at once. Stops at the first batch an endpoint did not accept,
+ * so its places stay in the list and are sent again later (endpoints that did accept
+ * it then receive it twice).
+ *
+ * @param {Object} config - Settings from normalizeWebhookConfig()
+ * @param {Array<Object>} places - Places waiting to be sent, oldest first; delivered places are removed
+ * @param {Object} [options] - Options for sendWebhooks()
+ * @param {boolean} [options.flush=false] - Also send the last, partial batch
+ * @returns {Promise<Array<Object>>} Places every endpoint accepted
+ */
+export function sendPlaceBatches(config, places, { flush = false, ...options } = {}) {
+	const delivery = placeDeliveries.then(async () => {
+		const delivered = [];
+		while (places.length >= (flush ? 1 : config.batchSize)) {
+			const batch = places.slice(0, config.batchSize);
+			const results = await sendWebhooks(config, WEBHOOK_EVENTS.PLACES, { items: batch }, options);
+			if (!results.every((result) => result.ok)) {
+				break;
+			}
+			places.splice(0, batch.length);
+			delivered.push(...batch);
+		}
+		return delivered;
+	});
+	placeDeliveries = delivery.catch(() => {});
+	return delivery;
+}